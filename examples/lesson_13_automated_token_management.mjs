@@ -2,43 +2,26 @@
 // Merci SDK Tutorial: Lesson 13 - AAutomated Token Management
 
 // --- IMPORTS ---
-import { MerciClient, createUserMessage } from '../lib/merci.2.14.0.mjs';
-import { token as initialToken } from '../secret/token.mjs';
-import { promises as fs } from 'node:fs';
-import path from 'node:path';
+import { MerciClient, FileCredentials, createUserMessage } from '../lib/merci.2.14.0.mjs';
 
 const MODEL = 'google-chat-gemini-flash-2.5';
 
-/**
- * A helper function to save the new token back to its source file.
- * This is the key to making the refreshed token persistent.
- * @param {string} newToken The new JWT to save.
- */
-async function saveToken(newToken) {
-    console.log('\n[INFO] New token received. Saving to file...');
-    try {
-        const tokenFilePath = path.resolve(process.cwd(), '../secret/token.mjs');
-        const fileContent = `// This file is auto-generated. Do not edit manually.\n// Last updated: ${new Date().toISOString()}\nexport const token = "${newToken}";\n`;
-        await fs.writeFile(tokenFilePath, fileContent, 'utf-8');
-        console.log(`[SUCCESS] Token successfully saved to ${tokenFilePath}`);
-    } catch (error) {
-        console.error('[ERROR] Failed to save the new token.', error);
-    }
-}
-
 
 async function main() {
     console.log(`--- Merci SDK Tutorial: Lesson 13 - Automated Token Management ---`);
     console.log('This lesson shows how to automatically save a refreshed token for future use.');
 
     try {
-        // This variable will hold the new token if the SDK refreshes it.
-        let capturedNewToken = null;
+        // This flag is set if the SDK refreshes the token during this run.
+        let tokenWasRefreshed = false;
 
         // --- STEP 1: INITIALIZE THE CLIENT ---
         // We will intentionally use the (potentially expired) token from our file.
-        console.log('\n[STEP 1] Initializing MerciClient with the token from secret/token.mjs...');
-        const client = new MerciClient({ token: initialToken });
+        // `FileCredentials` reads the token from the file and, after a refresh, writes the new
+        // token back to it, so we never have to handle the raw token ourselves.
+        console.log('\n[STEP 1] Initializing MerciClient with credentials from secret/token.mjs...');
+        const credentials = new FileCredentials('../secret/token.mjs');
+        const client = new MerciClient({ credentials });
 
         // --- STEP 2: SET UP EVENT LISTENERS ---
         // The SDK is designed to refresh the token automatically when it receives a
@@ -50,14 +33,19 @@ async function main() {
             console.log('\n[EVENT: token_refresh_start] API request failed (401). Current token is invalid. Attempting to refresh...');
         });
 
-        // With our SDK fix, this event now receives the new token.
-        client.on('token_refresh_success', (newToken) => {
-            console.log(`[EVENT: token_refresh_success] Successfully obtained a new token.`);
-            capturedNewToken = newToken;
+        // This event receives a masked token; the full token only goes to `credentials`.
+        client.on('token_refresh_success', (maskedToken) => {
+            console.log(`[EVENT: token_refresh_success] Successfully obtained a new token (${maskedToken}).`);
+            tokenWasRefreshed = true;
+        });
+
+        // Fires if an early refresh fails or the new token could not be written back to the file.
+        client.on('credentials_warning', ({ message }) => {
+            console.warn(`[EVENT: credentials_warning] ${message}`);
         });
 
         // --- STEP 3: MAKE AN API CALL ---
-        // We make a standard API call. If `initialToken` is expired, the SDK's
+        // We make a standard API call. If the token in the file is expired, the SDK's
         // internal `_fetchWithRetry` logic will automatically trigger the refresh
         // flow before completing the request.
         console.log('\n[STEP 3] Making an API call to trigger the process...');
@@ -76,11 +64,11 @@ async function main() {
         process.stdout.write('\n');
         console.log('\n[INFO] Stream finished. Response fully received.');
 
-        // --- STEP 4: PERSIST THE NEW TOKEN IF CAPTURED ---
-        // After the API call is complete, we check if our event listener captured a new token.
-        console.log('\n[STEP 4] Checking if a new token was captured...');
-        if (capturedNewToken) {
-            await saveToken(capturedNewToken);
+        // --- STEP 4: CHECK WHETHER THE TOKEN WAS REFRESHED ---
+        // There is nothing left to save: `FileCredentials` already wrote the new token to the file.
+        console.log('\n[STEP 4] Checking if the token was refreshed...');
+        if (tokenWasRefreshed) {
+            console.log('The new token was saved to secret/token.mjs by FileCredentials.');
             console.log('\nThe next time you run any lesson, it will use the new, valid token directly.');
         } else {
             console.log('No token refresh was needed. The initial token is still valid.');
@@ -10,9 +10,36 @@
  * Node.js environments.
  *
  * CHANGELOG:
+ * - Unreleased:
+ *   - Added a configurable retry policy (`retry`) with exponential backoff for network errors and 408, 429 and 5xx responses, and a `retry_attempt` event.
+ *   - Added `AbortSignal` cancellation (`signal`) to every request method and client-level timeouts (`timeout`), reported as `APIAbortError` and `APITimeoutError`.
+ *   - Added the `fetch` and `headers` client options for a custom `fetch` implementation and headers sent with every request.
+ *   - Chat and task streams now share a spec-compliant Server-Sent Events decoder (`SSEDecoder`).
+ *   - Added record-and-replay cassettes (`cassette`) for running against recorded responses offline.
+ *   - Added `MockMerciServer`, a local emulation of the gateway's chat, task and auth endpoints for tests, shipped separately in `merci.mock.mjs` so applications do not load `node:http`.
+ *   - Added pluggable credentials providers (`credentials`, `FileCredentials`, `EnvCredentials`) that also persist refreshed tokens, and a `credentials_warning` event.
+ *   - JWTs are now refreshed shortly before they expire (`tokenRefreshLeewayMs`), and concurrent requests share a single refresh.
+ *   - Tokens and media payloads are now redacted from emitted events by default (`redact`, `unsafeRawEvents`).
+ *   - Added `ChatSession.complete()`, which returns the whole response as one object; `stream()` now returns a summary of the stream when it ends.
+ *   - Added `finish` stream events and the `autoContinue` option, which resumes responses cut off by the `length` parameter.
+ *   - Added incremental `tool_call_start`, `tool_call_delta` and `tool_call_end` stream events with partially parsed arguments, and `parsePartialJson()`.
+ *   - Stream events now carry a `choiceIndex`, `complete()` returns every choice, and `step()` and `run()` take a `choice` option.
+ *   - Added `ChatSession.generateObject()`, which validates the output against a JSON Schema (`validateJsonSchema()`) and asks the model to repair invalid output, and `SchemaValidationError`.
+ *   - Added `ChatSession.streamObject()`, which yields partial objects while the JSON is streamed.
+ *   - Tool call arguments are now validated against the tool's parameters schema before `execute` runs; invalid calls are reported back to the model.
+ *   - Added per-tool `timeoutMs`, `retries`, `maxConcurrency` and `sequential` policies; `execute` now receives an `AbortSignal`.
+ *   - Added an `onToolCalls` approval hook to `run()` that can approve, reject or edit tool calls, and the `requiresApproval` tool flag.
+ *   - Added `ChatSession.runDetailed()`, which returns the transcript, the tool invocations, the iteration count and why the run stopped.
+ *   - `step()` now matches tool results to calls by `id` and records calls left unanswered as not executed.
+ *   - Text the model sends alongside tool calls is now kept in the history, and `run()` ends on the first turn without tool calls.
+ *   - BREAKING: After a turn that called tools, the `content` returned by `step()` is now `''`; text the model wrote alongside the tool calls is returned as `commentary` (and kept in `messages`), and `usedTools` tells the two cases apart. Callers that read `content` after tool turns should read `commentary` instead.
+ *   - Added the `Conversation` class, which manages a session's history and can persist it to a JSONL file.
+ *   - Added context-window management: `ChatSession.withContextStrategy()`, the built-in `ContextStrategies`, `estimateTokens()`, `getContextWindow()` and a `context_trimmed` event.
+ *   - Added `VectorIndex` and `ChatSession.withRetrieval()`, which grounds requests in indexed texts and reports the entries used as citations. Vectors come from an `embed` function supplied by the caller.
  * - v2.14.0: Introduced a "glass-box" agentic workflow with a new `ChatSession.step()` async generator for fine-grained control over the tool-use loop. Refactored `run()` to use this new primitive and made `maxIterations` configurable.
  * - v2.13.0: Added the Task API for executing predefined, server-side tasks.
  * - v2.12.2: Patched a bug in the InternalHttpClient where the token refresh URL was being constructed incorrectly, causing a 404 error.
  * - v2.12.1: Major architectural refactor.
  * - v2.11.0: Implemented a robust parameter filtering system.
- */ import{EventEmitter as e}from"node:events";import{TextDecoderStream as t}from"node:stream/web";import{promises as r}from"node:fs";import{extname as a}from"node:path";import{Buffer as s}from"node:buffer";let AuthType={USER:"user",SERVICE:"service",APPLICATION:"application"},GatewayEndpoint={PRODUCTION:"https://api.jetbrains.ai"},LLMParameters={TEMPERATURE:{fqdn:"llm.parameters.temperature",type:"double"},TOP_P:{fqdn:"llm.parameters.top-p",type:"double"},TOP_K:{fqdn:"llm.parameters.top-k",type:"int"},LENGTH:{fqdn:"llm.parameters.length",type:"int"},STOP_TOKEN:{fqdn:"llm.parameters.stop-token",type:"text"},SEED:{fqdn:"llm.parameters.seed",type:"int"},RESPONSE_FORMAT:{fqdn:"llm.parameters.response-format",type:"json"},TOOLS:{fqdn:"llm.parameters.tools",type:"json"},TOOL_CHOICE_AUTO:{fqdn:"llm.parameters.tool-choice-auto",type:"bool"},TOOL_CHOICE_REQUIRED:{fqdn:"llm.parameters.tool-choice-required",type:"bool"},TOOL_CHOICE_NONE:{fqdn:"llm.parameters.tool-choice-none",type:"bool"},TOOL_CHOICE_NAMED:{fqdn:"llm.parameters.tool-choice-named",type:"json"},PARALLEL_TOOL_CALLS:{fqdn:"llm.parameters.parallel-tool-calls",type:"bool"},REASONING_EFFORT:{fqdn:"llm.parameters.reasoning-effort",type:"text"},PREDICTED_OUTPUT:{fqdn:"llm.parameters.predicted-output",type:"json"},CACHE_POINTS:{fqdn:"llm.parameters.cache-points",type:"json"},THINKING_BUDGET:{fqdn:"llm.parameters.thinking-budget",type:"int"},NUMBER_OF_CHOICES:{fqdn:"llm.parameters.number-of-choices",type:"int"},VERBOSITY:{fqdn:"llm.parameters.verbosity",type:"text"}},paramGroups={COMMON_TOOLS:["TOOLS","TOOL_CHOICE_NAMED","TOOL_CHOICE_AUTO","TOOL_CHOICE_REQUIRED","TOOL_CHOICE_NONE"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT3_4:["TEMPERATURE","TOP_P","SEED","LENGTH","NUMBER_OF_CHOICES","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),OPENAI_O_SERIES:["LENGTH","SEED","RESPONSE_FORMAT","REASONING_EFFORT","NUMBER_OF_CHOICES"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT4_1:["TOP_P","LENGTH","SEED","TEMPERATURE","RESPONSE_FORMAT","NUMBER_OF_CHOICES","PREDICTED_OUTPUT","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT5:["LENGTH","RESPONSE_FORMAT","PARALLEL_TOOL_CALLS","REASONING_EFFORT","VERBOSITY"].map(e=>LLMParameters[e].fqdn),ANTHROPIC_CLAUDE3:["TEMPERATURE","TOP_K","TOP_P","STOP_TOKEN","LENGTH","TOOLS"].map(e=>LLMParameters[e].fqdn),ANTHROPIC_CLAUDE_PLUS:["TEMPERATURE","TOP_P","STOP_TOKEN","LENGTH","CACHE_POINTS","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_1_5_PRO:["TEMPERATURE","TOP_P","TOP_K","RESPONSE_FORMAT","LENGTH"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_1_5_FLASH:["TEMPERATURE","TOP_P","TOP_K","LENGTH"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_2_5_PRO:["TEMPERATURE","TOP_P","TOP_K","RESPONSE_FORMAT","LENGTH","THINKING_BUDGET","TOOLS"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_2_5_FLASH:["RESPONSE_FORMAT","TEMPERATURE","LENGTH","TOP_P","THINKING_BUDGET"].map(e=>LLMParameters[e].fqdn)},modelProfiles={"openai-chat-gpt":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS])},"openai-gpt-4":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS])},"openai-gpt-4-turbo":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn])},"openai-gpt-4o":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn,LLMParameters.PREDICTED_OUTPUT.fqdn])},"openai-gpt-4o-mini":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn,LLMParameters.PREDICTED_OUTPUT.fqdn])},"openai-o1":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o1-mini":{provider:"OpenAI",params:new Set(["LENGTH","SEED","NUMBER_OF_CHOICES"].map(e=>LLMParameters[e].fqdn))},"openai-o3":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o3-mini":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o4-mini":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1-mini":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1-nano":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt-5":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-gpt-5-mini":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-gpt-5-nano":{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},Grazie_model_1:{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},Grazie_model_2:{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-instruct-gpt":{provider:"OpenAI",params:new Set([LLMParameters.TEMPERATURE.fqdn])},"openai-embedding-ada":{provider:"OpenAI",params:new Set},"openai-embedding-small":{provider:"OpenAI",params:new Set},"openai-embedding-large":{provider:"OpenAI",params:new Set},"anthropic-claude-3-haiku":{provider:"Anthropic",params:new Set(paramGroups.ANTHROPIC_CLAUDE3)},"anthropic-claude-3-opus":{provider:"Anthropic",params:new Set(paramGroups.ANTHROPIC_CLAUDE3)},"anthropic-claude-3.5-haiku":{provider:"Anthropic",params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-3.5-sonnet":{provider:"Anthropic",params:new Set(["TEMPERATURE","TOP_P","STOP_TOKEN","LENGTH","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn).concat(paramGroups.COMMON_TOOLS))},"anthropic-claude-3.7-sonnet":{provider:"Anthropic",params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4-sonnet":{provider:"Anthropic",params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4-opus":{provider:"Anthropic",params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4.1-opus":{provider:"Anthropic",params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-pro-1.5":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-1.5":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_FLASH,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-2.0":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-lite-2.0":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-pro-2.5":{provider:"Google",params:new Set(paramGroups.GOOGLE_GEMINI_2_5_PRO)},"google-chat-gemini-flash-2.5":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-lite-2.5":{provider:"Google",params:new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH,...paramGroups.COMMON_TOOLS])}};export class APIError extends Error{constructor(e,t,r){super(e),this.name="APIError",this.status=t,this.details=r}}export class APIStatusError extends APIError{constructor(e,t,r){super(e,t,r),this.name="APIStatusError"}}export class SSEError extends APIError{constructor(e){super(e,void 0,void 0),this.name="SSEError"}}export function createUserMessage(e){return{type:"user_message",content:e}}export function createSystemMessage(e){return{type:"system_message",content:e}}export function createAssistantTextMessage(e){return{type:"assistant_message_text",content:e}}export function createAssistantToolCallMessage(e,t,r){return{type:"assistant_message_tool",id:e,toolName:t,content:r}}export function createToolResultMessage(e,t,r){return{type:"tool_message",id:e,toolName:t,result:r}}export async function createMediaMessage(e,t){let o,n;if("string"==typeof e){if(o=await r.readFile(e),t)n=t;else{let i=a(e).toLowerCase();n=({".png":"image/png",".jpg":"image/jpeg",".jpeg":"image/jpeg",".gif":"image/gif",".webp":"image/webp",".svg":"image/svg+xml"})[i]||"application/octet-stream"}}else if(s.isBuffer(e)){if(!t)throw Error("explicitMimeType is required when creating a media message from a Buffer.");o=e,n=t}else throw Error("source must be a file path (string) or a Buffer.");return{type:"media_message",mediaType:n,data:o.toString("base64")}}export async function executeTools(e,t){let r=new Map(t.map(e=>[e.name,e])),a=e.map(async e=>{let t=r.get(e.name);if(!t?.execute)return{name:e.name,success:!1,error:`Tool '${e.name}' not found.`};try{let a=JSON.parse(e.arguments||"{}"),s=await t.execute(a);return{name:e.name,success:!0,result:s}}catch(o){return{name:e.name,success:!1,error:o.message}}});return Promise.all(a)}class SSEParser{constructor(){this.finalizedToolCalls=[],this.toolCallsInProgress=new Map}parseLine(e){if(!e.startsWith("data: "))return null;let t=e.substring(6);if("end"===t.trim())return null;try{let r=JSON.parse(t);switch(r.type){case"Content":return{type:"text",content:r.content};case"ToolCall":let a=r.parallelToolIndex??0;this.toolCallsInProgress.has(a)||this.toolCallsInProgress.set(a,{id:null,name:null,arguments:""});let s=this.toolCallsInProgress.get(a);return r.id&&(s.id=r.id),r.name&&(s.name=r.name),r.content&&(s.arguments+=r.content),null;case"FinishMetadata":if(["tool_call","tool_calls","stop"].includes(r.reason)){let o=Array.from(this.toolCallsInProgress.entries()).sort(([e],[t])=>e-t).map(([,e])=>e);this.finalizedToolCalls.push(...o),this.toolCallsInProgress.clear()}return null;case"QuotaMetadata":return{type:"quota",data:r};default:return null}}catch(n){throw new SSEError(`Failed to parse SSE data chunk: ${n.message}`)}}getFinalResult(){return{toolCalls:this.finalizedToolCalls}}}class TaskSSEParser{parseLine(e){if(!e.startsWith("data: "))return null;let t=e.substring(6);if("end"===t.trim())return null;try{let r=JSON.parse(t),a=r.type;if(!a)return null;switch(a){case"Content":return{type:a,content:r.content};case"QuotaMetadata":case"ExecutionMetadata":case"FinishMetadata":case"UnknownMetadata":case"FunctionCallMetadata":return{type:a,data:r};default:return null}}catch(s){throw new SSEError(`Failed to parse Task SSE data chunk: ${s.message}`)}}}class InternalHttpClient{#a;#b;#c;constructor(e={},t){this.#c=t;let r=e.token??process.env.GRAZIE_JWT_TOKEN??process.env.GRAZIE_USER_JWT_TOKEN;if(!r)throw Error("An authentication token is required. Provide it via the `token` option or the GRAZIE_JWT_TOKEN environment variable.");this.#a=r;let a=e.authType??AuthType.USER,s=e.endpoint??GatewayEndpoint.PRODUCTION;this.#b=`${s}/${a}/v5`}getEventEmitter(){return this.#c}async _fetchWithRetry(e,t,r=!1){let a=`${this.#b}${e}`,s={"Content-Type":"application/json","Grazie-Agent":JSON.stringify({name:"js-library-client",version:"2.14.0"}),"Grazie-Authenticate-JWT":this.#a,...t.headers};this.#c.emit("api_request",{url:a,method:t.method,body:t.body});let o=await fetch(a,{...t,headers:s});if(this.#c.emit("api_response",{url:a,status:o.status,ok:o.ok}),!o.ok){if(401===o.status&&!r)try{this.#c.emit("token_refresh_start");let n=await this._refreshToken();return this.#a=n,this.#c.emit("token_refresh_success",n),this._fetchWithRetry(e,t,!0)}catch(i){throw this.#c.emit("error",i),i}let p;try{p=await o.json()}catch(l){p={message:"Failed to parse error response from API.",responseText:await o.text().catch(()=>"")}}let m=new APIStatusError(`API request failed with status ${o.status}`,o.status,p);throw this.#c.emit("error",m),m}if(!o.body){let O=new APIError("API returned a successful status but with an empty response body.",o.status,null);throw this.#c.emit("error",O),O}return o}async _refreshToken(){let e=`${this.#b}/auth/jwt/refresh/v3`,t={"Content-Type":"application/json","Grazie-Authenticate-JWT":this.#a},r=await fetch(e,{method:"POST",body:JSON.stringify({}),headers:t});if(!r.ok)throw new APIStatusError("Token refresh failed",r.status,await r.json().catch(()=>({})));let a=await r.json();if(!a.token)throw new APIError("Token refresh response did not contain a new token.",r.status,a);return a.token}}export class ParameterBuilder{#d={};temperature(e){return this.#d.TEMPERATURE=e,this}topP(e){return this.#d.TOP_P=e,this}topK(e){return this.#d.TOP_K=e,this}length(e){return this.#d.LENGTH=e,this}stopToken(e){return this.#d.STOP_TOKEN=e,this}seed(e){return this.#d.SEED=e,this}asJson(){return this.#d.RESPONSE_FORMAT={type:"json"},this}toolChoiceAuto(e=!0){return this.#d.TOOL_CHOICE_AUTO=e,this}toolChoiceRequired(e=!0){return this.#d.TOOL_CHOICE_REQUIRED=e,this}toolChoiceNone(e=!0){return this.#d.TOOL_CHOICE_NONE=e,this}toolChoiceNamed(e){return this.#d.TOOL_CHOICE_NAMED={type:"function",function:{name:e}},this}parallelToolCalls(e=!0){return this.#d.PARALLEL_TOOL_CALLS=e,this}reasoningEffort(e){return this.#d.REASONING_EFFORT=e,this}predictedOutput(e){return this.#d.PREDICTED_OUTPUT=e,this}cachePoints(e){return this.#d.CACHE_POINTS=e,this}thinkingBudget(e){return this.#d.THINKING_BUDGET=e,this}numberOfChoices(e){return this.#d.NUMBER_OF_CHOICES=e,this}verbosity(e){return this.#d.VERBOSITY=e,this}_build(){return this.#d}}export class ChatSession{#e;#f;#g=[];#h={};#i=null;constructor(e,t){this.#e=e,this.#f=t}withTools(e){return this.#g=e,this}withSystemMessage(e){return this.#i=e,this}withParameters(e){let t=new ParameterBuilder;return this.#h=e(t)._build(),this}async *stream(e){let r=Array.isArray(e)?e:[createUserMessage(e)],a=this.#j(r),s=await this.#e._fetchWithRetry("/llm/chat/stream/v8",{method:"POST",body:JSON.stringify(a)}),o=new SSEParser,n=s.body.pipeThrough(new t),i="";for await(let p of n){i+=p;let l=i.split("\n");for(let m of(i=l.pop()||"",l))if(m.trim()){let O=o.parseLine(m);O&&(yield O)}}if(i.trim()){let u=o.parseLine(i);u&&(yield u)}let E=o.getFinalResult();E.toolCalls.length>0&&(yield{type:"tool_calls",calls:E.toolCalls})}async *step(e,t={}){let r=this.#e.getEventEmitter(),a=this;t.forceTextResponse&&(a=new ChatSession(this.#e,this.#f).withTools(this.#g).withSystemMessage(this.#i).withParameters(e=>{let t=this.#h;for(let[r,a]of Object.entries(t)){let s=r.toLowerCase().replace(/_(\w)/g,(e,t)=>t.toUpperCase());"function"==typeof e[s]&&e[s](a)}return e.toolChoiceNone(!0)}));let s=a.stream(e),o=[],n="",i=[...e];for await(let p of s)"text"===p.type?n+=p.content:"tool_calls"===p.type&&(o=p.calls);if(o.length>0){r.emit("tool_start",{calls:o});let l=yield{type:"tool_request",calls:o};r.emit("tool_finish",{results:l}),l.forEach((e,t)=>{let r=o[t],a=e.success?e.result:{error:e.error||"Unknown execution error"};i.push(createAssistantToolCallMessage(r.id,r.name,r.arguments)),i.push(createToolResultMessage(r.id,r.name,JSON.stringify(a)))})}else i.push(createAssistantTextMessage(n));return{type:"text_response",content:n,messages:i}}async run(e,t={}){let{maxIterations:r=5}=t,a=Array.isArray(e)?[...e]:[createUserMessage(e)],s=this.#e.getEventEmitter();for(let o=0;o<r;o++){let n=o===r-1;n&&s.emit("tool_warning",{message:`Maximum tool iteration limit (${r}) reached. Forcing model to generate final text response.`});let i=this.step(a,{forceTextResponse:n}),p=await i.next();if(p.done)return p.value.content;let{calls:l}=p.value,m=await executeTools(l,this.#g);if(a=(p=await i.next(m)).value.messages,p.value.content)return p.value.content}return"The model reached the maximum tool iteration limit and could not provide a final text response."}#j(o){let n=[...o];this.#i&&!o.some(e=>"system_message"===e.type)&&n.unshift(createSystemMessage(this.#i));let i={profile:this.#f,prompt:`js-sdk-prompt-${Date.now()}`,chat:{messages:n}},p=buildParametersArray(this.#h,this.#g,this.#f,this.#e.getEventEmitter());return p&&(i.parameters=p),i}}export class ChatAPI{#e;constructor(e){this.#e=e}session(e){if(!e||"string"!=typeof e)throw Error("A valid model profile string is required to start a chat session.");return new ChatSession(this.#e,e)}}export class TaskAPI{#e;constructor(e){this.#e=e}async roster(){let e=await this.#e._fetchWithRetry("/task/roster",{method:"GET"});return e.json()}async *stream(e,r){let{taskId:a,tag:s}=this.#k(e),o={};s&&(o["Grazie-Task-Tag"]=s);let n=await this.#e._fetchWithRetry(`/task/stream/v4/${a}`,{method:"POST",body:JSON.stringify({parameters:r}),headers:o}),i=new TaskSSEParser,p=n.body.pipeThrough(new t),l="";for await(let m of p){l+=m;let O=l.split("\n");for(let u of(l=O.pop()||"",O))if(u.trim()){let E=i.parseLine(u);E&&(yield E)}}if(l.trim()){let h=i.parseLine(l);h&&(yield h)}}async execute(e,t){let r=this.stream(e,t),a="",s=[],o=null,n=null,i=null,p=null;for await(let l of r)switch(l.type){case"Content":a+=l.content;break;case"QuotaMetadata":o=l.data;break;case"ExecutionMetadata":s.push(l.data);break;case"FinishMetadata":n=l.data;break;case"UnknownMetadata":i=l.data;break;case"FunctionCallMetadata":p=l.data}return{content:a,quotaMetadata:o,executionMetadata:s,finishMetadata:n,unknownMetadata:i,functionCallMetadata:p}}#k(l){let m=l.split(":",2);return{taskId:m[0],tag:m[1]||null}}}function buildParametersArray(e,t=[],r="",a=null){let s=[],o=modelProfiles[r];if(t.length>0&&(!o||o.params.has(LLMParameters.TOOLS.fqdn))){s.push({type:LLMParameters.TOOLS.type,fqdn:LLMParameters.TOOLS.fqdn});let n=t.map(({execute:e,...t})=>t);s.push({type:"json",value:JSON.stringify(n)})}for(let[i,p]of Object.entries(e)){let l=LLMParameters[i];if(!l)continue;if(o&&!o.params.has(l.fqdn)){a&&a.emit("parameter_warning",{parameter:i,profile:r,message:`Parameter '${i}' is not supported by model profile '${r}' and will be ignored.`});continue}s.push({type:l.type,fqdn:l.fqdn});let m={type:l.type};switch(l.type){case"double":case"int":m.value=Number(p);break;case"bool":m.value=Boolean(p);break;case"json":m.value=JSON.stringify(p);break;default:m.value=String(p)}s.push(m)}return s.length>0?{data:s}:null}export class MerciClient extends e{chat;tasks;constructor(e={}){super();let t=new InternalHttpClient(e,this);this.chat=new ChatAPI(t),this.tasks=new TaskAPI(t)}}
\ No newline at end of file
+ */
+import{EventEmitter}from"node:events";import{TextDecoderStream}from"node:stream/web";import{promises as fs}from"node:fs";import{extname}from"node:path";import{Buffer}from"node:buffer";import{createHash}from"node:crypto";const AuthType={USER:"user",SERVICE:"service",APPLICATION:"application"},GatewayEndpoint={PRODUCTION:"https://api.jetbrains.ai"},DEFAULT_RETRY_POLICY={maxAttempts:3,baseDelayMs:500,maxDelayMs:8e3,jitter:!0,respectRetryAfter:!0,retryableStatuses:[408,429,500,502,503,504]},DEFAULT_TIMEOUTS={firstByteMs:6e4,totalMs:0},DEFAULT_TOKEN_REFRESH_LEEWAY_MS=6e4,DEFAULT_AUTO_CONTINUE={maxContinuations:3,prompt:"Your previous response was cut off. Continue exactly where you stopped, without repeating anything."},DEFAULT_CONTEXT_RESERVE_TOKENS=4096,DEFAULT_SUMMARY_PROMPT="Summarize the conversation so far in a few paragraphs. Keep every fact, decision, open question and tool result that later turns may need.",TOKEN_ESTIMATE={charsPerToken:4,perMessage:4,perMedia:1e3},DEFAULT_REDACTION={paths:[],mediaPreviewLength:32,maskTokens:!0},LLMParameters={TEMPERATURE:{fqdn:"llm.parameters.temperature",type:"double"},TOP_P:{fqdn:"llm.parameters.top-p",type:"double"},TOP_K:{fqdn:"llm.parameters.top-k",type:"int"},LENGTH:{fqdn:"llm.parameters.length",type:"int"},STOP_TOKEN:{fqdn:"llm.parameters.stop-token",type:"text"},SEED:{fqdn:"llm.parameters.seed",type:"int"},RESPONSE_FORMAT:{fqdn:"llm.parameters.response-format",type:"json"},TOOLS:{fqdn:"llm.parameters.tools",type:"json"},TOOL_CHOICE_AUTO:{fqdn:"llm.parameters.tool-choice-auto",type:"bool"},TOOL_CHOICE_REQUIRED:{fqdn:"llm.parameters.tool-choice-required",type:"bool"},TOOL_CHOICE_NONE:{fqdn:"llm.parameters.tool-choice-none",type:"bool"},TOOL_CHOICE_NAMED:{fqdn:"llm.parameters.tool-choice-named",type:"json"},PARALLEL_TOOL_CALLS:{fqdn:"llm.parameters.parallel-tool-calls",type:"bool"},REASONING_EFFORT:{fqdn:"llm.parameters.reasoning-effort",type:"text"},PREDICTED_OUTPUT:{fqdn:"llm.parameters.predicted-output",type:"json"},CACHE_POINTS:{fqdn:"llm.parameters.cache-points",type:"json"},THINKING_BUDGET:{fqdn:"llm.parameters.thinking-budget",type:"int"},NUMBER_OF_CHOICES:{fqdn:"llm.parameters.number-of-choices",type:"int"},VERBOSITY:{fqdn:"llm.parameters.verbosity",type:"text"}},paramGroups={COMMON_TOOLS:["TOOLS","TOOL_CHOICE_NAMED","TOOL_CHOICE_AUTO","TOOL_CHOICE_REQUIRED","TOOL_CHOICE_NONE"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT3_4:["TEMPERATURE","TOP_P","SEED","LENGTH","NUMBER_OF_CHOICES","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),OPENAI_O_SERIES:["LENGTH","SEED","RESPONSE_FORMAT","REASONING_EFFORT","NUMBER_OF_CHOICES"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT4_1:["TOP_P","LENGTH","SEED","TEMPERATURE","RESPONSE_FORMAT","NUMBER_OF_CHOICES","PREDICTED_OUTPUT","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),OPENAI_GPT5:["LENGTH","RESPONSE_FORMAT","PARALLEL_TOOL_CALLS","REASONING_EFFORT","VERBOSITY"].map(e=>LLMParameters[e].fqdn),ANTHROPIC_CLAUDE3:["TEMPERATURE","TOP_K","TOP_P","STOP_TOKEN","LENGTH","TOOLS"].map(e=>LLMParameters[e].fqdn),ANTHROPIC_CLAUDE_PLUS:["TEMPERATURE","TOP_P","STOP_TOKEN","LENGTH","CACHE_POINTS","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_1_5_PRO:["TEMPERATURE","TOP_P","TOP_K","RESPONSE_FORMAT","LENGTH"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_1_5_FLASH:["TEMPERATURE","TOP_P","TOP_K","LENGTH"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_2_5_PRO:["TEMPERATURE","TOP_P","TOP_K","RESPONSE_FORMAT","LENGTH","THINKING_BUDGET","TOOLS"].map(e=>LLMParameters[e].fqdn),GOOGLE_GEMINI_2_5_FLASH:["RESPONSE_FORMAT","TEMPERATURE","LENGTH","TOP_P","THINKING_BUDGET"].map(e=>LLMParameters[e].fqdn)},modelProfiles={"openai-chat-gpt":{provider:"OpenAI",contextWindow:16385,params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS])},"openai-gpt-4":{provider:"OpenAI",contextWindow:8192,params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS])},"openai-gpt-4-turbo":{provider:"OpenAI",contextWindow:128e3,params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn])},"openai-gpt-4o":{provider:"OpenAI",contextWindow:128e3,params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn,LLMParameters.PREDICTED_OUTPUT.fqdn])},"openai-gpt-4o-mini":{provider:"OpenAI",contextWindow:128e3,params:new Set([...paramGroups.OPENAI_GPT3_4,...paramGroups.COMMON_TOOLS,LLMParameters.RESPONSE_FORMAT.fqdn,LLMParameters.PREDICTED_OUTPUT.fqdn])},"openai-o1":{provider:"OpenAI",contextWindow:2e5,params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o1-mini":{provider:"OpenAI",contextWindow:128e3,params:new Set(["LENGTH","SEED","NUMBER_OF_CHOICES"].map(e=>LLMParameters[e].fqdn))},"openai-o3":{provider:"OpenAI",contextWindow:2e5,params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o3-mini":{provider:"OpenAI",contextWindow:2e5,params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-o4-mini":{provider:"OpenAI",contextWindow:2e5,params:new Set([...paramGroups.OPENAI_O_SERIES,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1":{provider:"OpenAI",contextWindow:1047576,params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1-mini":{provider:"OpenAI",contextWindow:1047576,params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt4.1-nano":{provider:"OpenAI",contextWindow:1047576,params:new Set([...paramGroups.OPENAI_GPT4_1,...paramGroups.COMMON_TOOLS])},"openai-gpt-5":{provider:"OpenAI",contextWindow:4e5,params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-gpt-5-mini":{provider:"OpenAI",contextWindow:4e5,params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-gpt-5-nano":{provider:"OpenAI",contextWindow:4e5,params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},Grazie_model_1:{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},Grazie_model_2:{provider:"OpenAI",params:new Set([...paramGroups.OPENAI_GPT5,...paramGroups.COMMON_TOOLS])},"openai-instruct-gpt":{provider:"OpenAI",contextWindow:4096,params:new Set([LLMParameters.TEMPERATURE.fqdn])},"openai-embedding-ada":{provider:"OpenAI",contextWindow:8191,params:new Set},"openai-embedding-small":{provider:"OpenAI",contextWindow:8191,params:new Set},"openai-embedding-large":{provider:"OpenAI",contextWindow:8191,params:new Set},"anthropic-claude-3-haiku":{provider:"Anthropic",contextWindow:2e5,params:new Set(paramGroups.ANTHROPIC_CLAUDE3)},"anthropic-claude-3-opus":{provider:"Anthropic",contextWindow:2e5,params:new Set(paramGroups.ANTHROPIC_CLAUDE3)},"anthropic-claude-3.5-haiku":{provider:"Anthropic",contextWindow:2e5,params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-3.5-sonnet":{provider:"Anthropic",contextWindow:2e5,params:new Set(["TEMPERATURE","TOP_P","STOP_TOKEN","LENGTH","PARALLEL_TOOL_CALLS"].map(e=>LLMParameters[e].fqdn).concat(paramGroups.COMMON_TOOLS))},"anthropic-claude-3.7-sonnet":{provider:"Anthropic",contextWindow:2e5,params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4-sonnet":{provider:"Anthropic",contextWindow:2e5,params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4-opus":{provider:"Anthropic",contextWindow:2e5,params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"anthropic-claude-4.1-opus":{provider:"Anthropic",contextWindow:2e5,params:new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-pro-1.5":{provider:"Google",contextWindow:2097152,params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-1.5":{provider:"Google",contextWindow:1048576,params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_FLASH,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-2.0":{provider:"Google",contextWindow:1048576,params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-lite-2.0":{provider:"Google",contextWindow:1048576,params:new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-pro-2.5":{provider:"Google",contextWindow:1048576,params:new Set(paramGroups.GOOGLE_GEMINI_2_5_PRO)},"google-chat-gemini-flash-2.5":{provider:"Google",contextWindow:1048576,params:new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH,...paramGroups.COMMON_TOOLS])},"google-chat-gemini-flash-lite-2.5":{provider:"Google",contextWindow:1048576,params:new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH,...paramGroups.COMMON_TOOLS])}};export class APIError extends Error{constructor(e,t,s){super(e),this.name="APIError",this.status=t,this.details=s}}export class APIStatusError extends APIError{constructor(e,t,s){super(e,t,s),this.name="APIStatusError"}}export class SSEError extends APIError{constructor(e){super(e,void 0,void 0),this.name="SSEError"}}export class APITimeoutError extends APIError{constructor(e,t,s){super(e,void 0,{phase:t,timeoutMs:s}),this.name="APITimeoutError",this.phase=t,this.timeoutMs=s}}export class APIAbortError extends APIError{constructor(e,t){super(e,void 0,{reason:t}),this.name="APIAbortError",this.reason=t}}export class SchemaValidationError extends APIError{constructor(e,t,s){super(e,void 0,{errors:t,output:s}),this.name="SchemaValidationError",this.errors=t,this.output=s}}export class CassetteError extends APIError{constructor(e,t){super(e,void 0,t),this.name="CassetteError"}}export function createUserMessage(e){return{type:"user_message",content:e}}export function createSystemMessage(e){return{type:"system_message",content:e}}export function createAssistantTextMessage(e){return{type:"assistant_message_text",content:e}}export function createAssistantToolCallMessage(e,t,s){return{type:"assistant_message_tool",id:e,toolName:t,content:s}}export function createToolResultMessage(e,t,s){return{type:"tool_message",id:e,toolName:t,result:s}}export async function createMediaMessage(e,t){let s,r;if("string"==typeof e)if(s=await fs.readFile(e),t)r=t;else{r={".png":"image/png",".jpg":"image/jpeg",".jpeg":"image/jpeg",".gif":"image/gif",".webp":"image/webp",".svg":"image/svg+xml"}[extname(e).toLowerCase()]||"application/octet-stream"}else{if(!Buffer.isBuffer(e))throw new Error("source must be a file path (string) or a Buffer.");if(!t)throw new Error("explicitMimeType is required when creating a media message from a Buffer.");s=e,r=t}return{type:"media_message",mediaType:r,data:s.toString("base64")}}export async function executeTools(e,t,s={}){const r=new Map(t.map(e=>[e.name,e])),a=new Map,n=new Array(e.length);let o=[];for(const[t,i]of e.entries()){const e=r.get(i.name);if(e?.sequential){await Promise.all(o),o=[],n[t]={id:i.id,...await executeToolCall(i,e,s.signal)};continue}let c=()=>executeToolCall(i,e,s.signal);if(e?.maxConcurrency>0){a.has(e.name)||a.set(e.name,createLimiter(e.maxConcurrency));const t=a.get(e.name),s=c;c=()=>t(s)}o.push(c().then(e=>{n[t]={id:i.id,...e}}))}return await Promise.all(o),n}async function executeToolCall(e,t,s){if(!t?.execute)return{name:e.name,success:!1,error:`Tool '${e.name}' not found.`};let r;try{r=JSON.parse(e.arguments||"{}")}catch(t){return{name:e.name,success:!1,error:`The arguments for tool '${e.name}' are not valid JSON.`,validationErrors:[`$: ${t.message}`]}}const a=t.parameters?.schema??t.parameters;if(a&&"object"==typeof a){r=applySchemaDefaults(r,a);const{errors:t}=validateJsonSchema(r,a);if(t.length>0)return{name:e.name,success:!1,error:`The arguments for tool '${e.name}' do not match its parameters schema.`,validationErrors:t}}const n=1+Math.max(0,Math.floor(t.retries??0));let o;for(let a=1;a<=n&&!s?.aborted;a++)try{const a=await invokeTool(t,r,s);return{name:e.name,success:!0,result:a}}catch(e){o=e}return{name:e.name,success:!1,error:(o??s?.reason)?.message??`Tool '${e.name}' was aborted.`}}async function invokeTool(e,t,s){const r=new AbortController,a=()=>r.abort(s.reason);s?.aborted?a():s?.addEventListener("abort",a,{once:!0});const n=e.timeoutMs>0?setTimeout(()=>r.abort(new Error(`Tool '${e.name}' timed out after ${e.timeoutMs} ms.`)),e.timeoutMs):null,o=new Promise((e,t)=>{r.signal.aborted&&t(r.signal.reason),r.signal.addEventListener("abort",()=>t(r.signal.reason),{once:!0})});try{return await Promise.race([Promise.resolve().then(()=>e.execute(t,{signal:r.signal})),o])}finally{clearTimeout(n),s?.removeEventListener("abort",a)}}function createLimiter(e){let t=0;const s=[],r=()=>{if(t>=e||0===s.length)return;t++;const{task:a,resolve:n,reject:o}=s.shift();a().then(n,o).finally(()=>{t--,r()})};return e=>new Promise((t,a)=>{s.push({task:e,resolve:t,reject:a}),r()})}export function parsePartialJson(e){if("string"!=typeof e||!e.trim())return;try{return JSON.parse(e)}catch{}const t=[];let s=!1,r=!1,a=!1,n="",o=null;const i=()=>t.map(e=>"{"===e?"}":"]").reverse().join("");for(let c=0;c<e.length;c++){const l=e[c];s?a?a=!1:"\\"===l?a=!0:'"'===l&&(s=!1,n='"',r||(o={end:c+1,closers:i()})):('"'===l?(s=!0,r="{"===t.at(-1)&&("{"===n||","===n)):"{"===l||"["===l?(t.push(l),o={end:c+1,closers:i()}):"}"===l||"]"===l?(t.pop(),o={end:c+1,closers:i()}):","===l&&(o={end:c,closers:i()}),/\s/.test(l)||(n=l))}const c=[],l=s?null:e.match(/[^\s,:[\]{}"]+$/)?.[0];s?c.push(e.replace(/\\(u[0-9a-fA-F]{0,3})?$/,"")+'"'+i()):l&&!["true","false","null"].includes(l)||c.push(e+i()),o&&c.push(e.slice(0,o.end)+o.closers);for(const e of c)try{return JSON.parse(e)}catch{}}export function validateJsonSchema(e,t){const s=[];return checkSchema(e,t,"$",s),{valid:0===s.length,errors:s}}function jsonTypeOf(e){return null===e?"null":Array.isArray(e)?"array":typeof e}function checkSchema(e,t,s,r){if(!0!==t&&null!=t)if(!1!==t){if(void 0!==t.type){const a=Array.isArray(t.type)?t.type:[t.type],n=jsonTypeOf(e);if(!a.some(t=>t===n||"integer"===t&&Number.isInteger(e)||"number"===t&&"number"===n))return void r.push(`${s}: expected ${a.join(" or ")} but got ${n}`)}if(t.enum&&!t.enum.some(t=>stableStringify(t)===stableStringify(e))&&r.push(`${s}: must be one of ${JSON.stringify(t.enum)}`),void 0!==t.const&&stableStringify(t.const)!==stableStringify(e)&&r.push(`${s}: must be ${JSON.stringify(t.const)}`),"string"==typeof e&&(void 0!==t.minLength&&e.length<t.minLength&&r.push(`${s}: must be at least ${t.minLength} characters long`),void 0!==t.maxLength&&e.length>t.maxLength&&r.push(`${s}: must be at most ${t.maxLength} characters long`),void 0!==t.pattern)){let a;try{a=new RegExp(t.pattern,"u")}catch(e){r.push(`${s}: the schema's pattern ${t.pattern} is not a valid regular expression (${e.message})`)}a&&!a.test(e)&&r.push(`${s}: must match the pattern ${t.pattern}`)}if("number"==typeof e&&(void 0!==t.minimum&&e<t.minimum&&r.push(`${s}: must be >= ${t.minimum}`),void 0!==t.maximum&&e>t.maximum&&r.push(`${s}: must be <= ${t.maximum}`),void 0!==t.exclusiveMinimum&&e<=t.exclusiveMinimum&&r.push(`${s}: must be > ${t.exclusiveMinimum}`),void 0!==t.exclusiveMaximum&&e>=t.exclusiveMaximum&&r.push(`${s}: must be < ${t.exclusiveMaximum}`)),Array.isArray(e)&&(void 0!==t.minItems&&e.length<t.minItems&&r.push(`${s}: must contain at least ${t.minItems} items`),void 0!==t.maxItems&&e.length>t.maxItems&&r.push(`${s}: must contain at most ${t.maxItems} items`),t.items&&"object"==typeof t.items&&!Array.isArray(t.items)&&e.forEach((e,a)=>checkSchema(e,t.items,`${s}[${a}]`,r))),"object"===jsonTypeOf(e)){const a=t.properties??{};for(const a of t.required??[])Object.hasOwn(e,a)||r.push(`${s}: missing required property '${a}'`);for(const[n,o]of Object.entries(e))Object.hasOwn(a,n)?checkSchema(o,a[n],`${s}.${n}`,r):!1===t.additionalProperties?r.push(`${s}: unexpected property '${n}'`):"object"==typeof t.additionalProperties&&checkSchema(o,t.additionalProperties,`${s}.${n}`,r)}for(const a of t.allOf??[])checkSchema(e,a,s,r);t.anyOf&&!t.anyOf.some(t=>validateJsonSchema(e,t).valid)&&r.push(`${s}: must match at least one of the schemas in anyOf`),t.oneOf&&1!==t.oneOf.filter(t=>validateJsonSchema(e,t).valid).length&&r.push(`${s}: must match exactly one of the schemas in oneOf`)}else r.push(`${s}: no value is allowed here`)}function applySchemaDefaults(e,t){if(!t||"object"!=typeof t)return e;if(Array.isArray(e))return t.items&&"object"==typeof t.items&&!Array.isArray(t.items)?e.map(e=>applySchemaDefaults(e,t.items)):e;if("object"!==jsonTypeOf(e)||!t.properties)return e;const s={...e};for(const[e,r]of Object.entries(t.properties))Object.hasOwn(s,e)?s[e]=applySchemaDefaults(s[e],r):void 0!==r?.default&&(s[e]=structuredClone(r.default));return s}export function estimateTokens(e){if("string"==typeof e)return Math.ceil(e.length/TOKEN_ESTIMATE.charsPerToken);const t=Array.isArray(e)?e:[e];let s=0;for(const e of t)s+=TOKEN_ESTIMATE.perMessage,"media_message"===e.type?s+=TOKEN_ESTIMATE.perMedia:s+=estimateTokens(`${e.toolName??""}${e.content??e.result??""}`);return s}export function getContextWindow(e){return modelProfiles[e]?.contextWindow}export const ContextStrategies={slidingWindow:()=>(e,{maxTokens:t})=>{const{system:s,rest:r}=splitSystemMessages(e),a=r.findIndex(e=>"user_message"===e.type),n=r.map(e=>estimateTokens(e)),o=r.flatMap((e,t)=>t>a&&"user_message"===e.type?[t]:[]);let i=estimateTokens(s)+n.reduce((e,t)=>e+t,0),c=0;for(const e of o){if(i<=t)break;for(let t=c;t<e;t++)t!==a&&(i-=n[t]);c=e}const l=-1!==a&&a<c?[r[a]]:[];return[...s,...l,...r.slice(c)]},keepSystemAndLastN(e){if(!Number.isInteger(e)||e<1)throw new Error("keepSystemAndLastN requires a positive integer count.");return t=>{const{system:s,rest:r}=splitSystemMessages(t);return[...s,...r.slice(keepFrom(r,r.length-e,0))]}},summarize(e={}){const{keepLast:t=6,prompt:s=DEFAULT_SUMMARY_PROMPT}=e,r=e=>createHash("sha256").update(JSON.stringify(e)).digest("hex"),a=e=>createUserMessage(`Summary of the earlier conversation:\n${e}`);let n=null;return async(o,i)=>{const{system:c,rest:l}=splitSystemMessages(o);let h=[],p=0;n&&n.count<=l.length&&r(l.slice(0,n.count))===n.key&&(h=[a(n.summary)],p=n.count);const m=[...c,...h,...l.slice(p)];if(estimateTokens(m)<=i.maxTokens)return m;const u=keepFrom(l,l.length-t,p);if(u<=p)return m;const d=e.session??i.session,{text:f}=await d.complete([...h,...l.slice(p,u),createUserMessage(s)],{signal:i.signal});return n={count:u,key:r(l.slice(0,u)),summary:f},[...c,a(f),...l.slice(u)]}}};function splitSystemMessages(e){return{system:e.filter(e=>"system_message"===e.type),rest:e.filter(e=>"system_message"!==e.type)}}function keepFrom(e,t,s){let r=Math.max(s,t);for(;r>s&&"tool_message"===e[r]?.type;)r--;return r}function extractJson(e){const t=e.trim();try{return JSON.parse(t)}catch{}const s=/```(?:json)?\s*([\s\S]*?)```/i.exec(t);if(s)try{return JSON.parse(s[1])}catch{}const r=t.search(/[[{]/),a=Math.max(t.lastIndexOf("}"),t.lastIndexOf("]"));if(-1!==r&&a>r)return JSON.parse(t.slice(r,a+1));throw new SyntaxError("The response does not contain a JSON value.")}function accumulateChoice(e,t){if(!["text","tool_calls","finish"].includes(t.type))return;const s=t.choiceIndex??0;e.has(s)||e.set(s,{index:s,text:"",toolCalls:[],finishReason:null});const r=e.get(s);"text"===t.type?r.text+=t.content:"tool_calls"===t.type?r.toolCalls=t.calls:r.finishReason=t.reason}async function selectChoice(e,t){const s=Array.from(e.values()).sort((e,t)=>e.index-t.index);let r="number"==typeof t?t:0;if("function"==typeof t&&s.length>1&&(r=await t(s)),e.has(r))return e.get(r);if(0===e.size&&0===r)return{index:r,text:"",toolCalls:[],finishReason:null};const a=s.map(e=>e.index).join(", ")||"none";throw new RangeError(`Choice ${r} is not in the response; available choice indexes: ${a}.`)}function resolveRetryPolicy(e){const t={...DEFAULT_RETRY_POLICY,...!1===e?{maxAttempts:1}:e??{}};return t.maxAttempts=Math.max(1,Math.floor(t.maxAttempts)),t.retryableStatuses=new Set(t.retryableStatuses),t}function computeRetryDelay(e,t,s){if(e.respectRetryAfter&&s?.headers){const t=s.headers.get("retry-after");if(t){const s=Number(t),r=Number.isFinite(s)?1e3*s:Date.parse(t)-Date.now();if(Number.isFinite(r))return Math.min(e.maxDelayMs,Math.max(0,r))}}const r=Math.min(e.maxDelayMs,e.baseDelayMs*2**(t-1));return e.jitter?Math.round(Math.random()*r):r}function decodeJwtExpiry(e){const t="string"==typeof e?e.split(".")[1]:void 0;if(!t)return null;try{const e=JSON.parse(Buffer.from(t,"base64url").toString("utf-8"));return"number"==typeof e.exp?1e3*e.exp:null}catch{return null}}function maskToken(e){return"string"!=typeof e?e:e.length<=12?"***":`${e.slice(0,4)}***${e.slice(-4)}`}function redactRequestBody(e,t){if("string"!=typeof e)return e;let s;try{s=JSON.parse(e)}catch{return e}const r=e=>{Array.isArray(e)?e.forEach(r):e&&"object"==typeof e&&("media_message"===e.type&&"string"==typeof e.data&&e.data.length>t.mediaPreviewLength&&(e.data=`${e.data.slice(0,t.mediaPreviewLength)}...[${e.data.length-t.mediaPreviewLength} chars redacted]`),Object.values(e).forEach(r))};r(s);for(const e of t.paths)redactPath(s,e.split("."));return JSON.stringify(s)}function redactPath(e,t){if(!e||"object"!=typeof e||0===t.length)return;const[s,...r]=t,a="*"===s?Object.keys(e):[s];for(const t of a)Object.hasOwn(e,t)&&(0===r.length?e[t]="[REDACTED]":redactPath(e[t],r))}function stableStringify(e){return Array.isArray(e)?`[${e.map(stableStringify).join(",")}]`:e&&"object"==typeof e?`{${Object.keys(e).sort().map(t=>`${JSON.stringify(t)}:${stableStringify(e[t])}`).join(",")}}`:JSON.stringify(e)??"null"}async function writeFileAtomic(e,t,s){const r=`${e}.${process.pid}.${Date.now()}.tmp`;try{await fs.writeFile(r,t,{encoding:"utf-8",...void 0!==s&&{mode:s}}),await fs.rename(r,e)}catch(e){throw await fs.rm(r,{force:!0}).catch(()=>{}),e}}function toJsonLines(e){return e.map(e=>JSON.stringify(e)+"\n").join("")}function sleep(e,t){return new Promise((s,r)=>{if(t?.aborted)return r(t.reason);const a=()=>{clearTimeout(n),r(t.reason)},n=setTimeout(()=>{t?.removeEventListener("abort",a),s()},e);t?.addEventListener("abort",a,{once:!0})})}async function*readTextStream(e,t){const s=e.body.pipeThrough(new TextDecoderStream).getReader(),r=()=>s.cancel(t.signal.reason).catch(()=>{});t.signal.addEventListener("abort",r,{once:!0});try{for(;;){let e;try{e=await s.read()}catch(e){throw t.signal.aborted?t.signal.reason:e}if(t.signal.aborted)throw t.signal.reason;if(e.done)return;yield e.value}}finally{t.signal.removeEventListener("abort",r),await s.cancel().catch(()=>{}),s.releaseLock(),t.dispose()}}async function*readSSEEvents(e,t){const s=new SSEDecoder;for await(const r of readTextStream(e,t))for(const e of s.push(r))yield*splitUnseparatedRecords(e);for(const e of s.end())yield*splitUnseparatedRecords(e)}function splitUnseparatedRecords(e){if(!e.data.includes("\n"))return[e];try{return JSON.parse(e.data),[e]}catch{return e.data.split("\n").map(t=>({...e,data:t}))}}export class SSEDecoder{#e="";#t=!1;#s=!0;#r=[];#a="";#n="";#o=null;push(e){if(!e)return[];this.#s&&(65279===e.charCodeAt(0)&&(e=e.slice(1)),this.#s=!1),this.#t&&e.startsWith("\n")&&(e=e.slice(1)),this.#t=!1,this.#e+=e;const t=[];let s=0;for(let e=0;e<this.#e.length;e++){const r=this.#e[e];if("\n"!==r&&"\r"!==r)continue;const a=this.#i(this.#e.slice(s,e));a&&t.push(a),"\r"===r&&(e+1===this.#e.length?this.#t=!0:"\n"===this.#e[e+1]&&e++),s=e+1}return this.#e=this.#e.slice(s),t}end(){const e=[];if(this.#e){const t=this.#i(this.#e);t&&e.push(t),this.#e=""}const t=this.#c();return t&&e.push(t),e}#i(e){if(""===e)return this.#c();if(e.startsWith(":"))return null;const t=e.indexOf(":"),s=-1===t?e:e.slice(0,t);let r=-1===t?"":e.slice(t+1);switch(r.startsWith(" ")&&(r=r.slice(1)),s){case"data":this.#r.push(r);break;case"event":this.#a=r;break;case"id":r.includes("\0")||(this.#n=r);break;case"retry":/^\d+$/.test(r)&&(this.#o=Number(r))}return null}#c(){const e=this.#r.length>0,t={event:this.#a||"message",data:this.#r.join("\n"),id:this.#n,retry:this.#o};return this.#r=[],this.#a="",e?t:null}}class SSEParser{constructor(){this.choices=new Map}#l(e){return this.choices.has(e)||this.choices.set(e,{index:e,finalizedToolCalls:[],toolCallsInProgress:new Map,finishMetadata:null}),this.choices.get(e)}parseEvent({data:e}){if(!e.trim()||"end"===e.trim())return[];let t;try{t=JSON.parse(e)}catch(e){throw new SSEError(`Failed to parse SSE data chunk: ${e.message}`)}const s=t.choiceIndex??0;switch(t.type){case"Content":return[{type:"text",content:t.content,choiceIndex:s}];case"ToolCall":{const e=[],{toolCallsInProgress:r}=this.#l(s),a=t.parallelToolIndex??0;r.has(a)||(r.set(a,{id:t.id??null,name:t.name??null,arguments:""}),e.push({type:"tool_call_start",index:a,id:t.id??null,name:t.name??null,choiceIndex:s}));const n=r.get(a);if(t.id&&(n.id=t.id),t.name&&(n.name=t.name),t.content){n.arguments+=t.content;const r=n.arguments;let o;e.push({type:"tool_call_delta",index:a,id:n.id,name:n.name,choiceIndex:s,delta:t.content,arguments:r,get partialArguments(){return void 0===o&&(o={value:parsePartialJson(r)}),o.value}})}return e}case"FinishMetadata":{const e=[],r=this.#l(s);if(r.finishMetadata=t,["tool_call","tool_calls","stop"].includes(t.reason)){const t=Array.from(r.toolCallsInProgress.entries()).sort(([e],[t])=>e-t);for(const[r,a]of t)e.push({type:"tool_call_end",index:r,call:a,choiceIndex:s});r.finalizedToolCalls.push(...t.map(([,e])=>e)),r.toolCallsInProgress.clear()}return e.push({type:"finish",reason:t.reason??null,data:t,choiceIndex:s}),e}case"QuotaMetadata":return[{type:"quota",data:t}];default:return[]}}getFinalResult(){const e=Array.from(this.choices.values()).sort((e,t)=>e.index-t.index).map(e=>({index:e.index,toolCalls:e.finalizedToolCalls,finishReason:e.finishMetadata?.reason??null,finishMetadata:e.finishMetadata})),t=e.find(e=>0===e.index)??{toolCalls:[],finishReason:null,finishMetadata:null};return{toolCalls:t.toolCalls,finishReason:t.finishReason,finishMetadata:t.finishMetadata,choices:e}}}class TaskSSEParser{parseEvent({data:e}){if(!e.trim()||"end"===e.trim())return null;try{const t=JSON.parse(e),s=t.type;if(!s)return null;switch(s){case"Content":return{type:s,content:t.content};case"QuotaMetadata":case"ExecutionMetadata":case"FinishMetadata":case"UnknownMetadata":case"FunctionCallMetadata":return{type:s,data:t};default:return null}}catch(e){throw new SSEError(`Failed to parse Task SSE data chunk: ${e.message}`)}}}class RequestScope{#h=new AbortController;#p;#m;#u;#d;constructor(e,t){this.firstByteMs=t.firstByteMs,this.#p=e,e&&(this.#m=()=>this.#h.abort(new APIAbortError("The request was aborted.",e.reason)),e.aborted?this.#m():e.addEventListener("abort",this.#m,{once:!0})),t.totalMs>0&&(this.#u=setTimeout(()=>this.#h.abort(new APITimeoutError(`The request did not complete within ${t.totalMs}ms.`,"total",t.totalMs)),t.totalMs))}get signal(){return this.#h.signal}attemptSignal(){if(this.#d?.(),!(this.firstByteMs>0))return{signal:this.signal,clear:()=>{}};const e=new AbortController,t=()=>e.abort(this.signal.reason);this.signal.addEventListener("abort",t,{once:!0}),this.#d=()=>{this.signal.removeEventListener("abort",t),this.#d=void 0};const s=setTimeout(()=>e.abort(new APITimeoutError(`No response was received within ${this.firstByteMs}ms.`,"first_byte",this.firstByteMs)),this.firstByteMs);return{signal:e.signal,clear:()=>clearTimeout(s)}}dispose(){clearTimeout(this.#u),this.#d?.(),this.#p?.removeEventListener("abort",this.#m)}}class Cassette{#f;#y;#O;#g=null;#E=new Map;#T=Promise.resolve();constructor(e,t){if(!e.path)throw new Error("The `cassette.path` option is required.");const s=e.mode??"auto";if(!["record","replay","auto"].includes(s))throw new Error(`Unknown cassette mode '${s}'. Expected 'record', 'replay' or 'auto'.`);this.#f=e.path,this.#y=s,this.#O=t}fetch=async(e,t={})=>{await(this.#g??=this.#w());const s=this.#S(e,t);return"replay"===this.#y?this.#_(s,t.signal):this.#A(s,e,t)};async#w(){if("auto"===this.#y&&(this.#y=await fs.access(this.#f).then(()=>"replay",()=>"record")),"record"===this.#y)return void await fs.writeFile(this.#f,"","utf-8");let e;try{e=await fs.readFile(this.#f,"utf-8")}catch(e){throw new CassetteError(`Failed to read cassette file '${this.#f}': ${e.message}`,{path:this.#f})}for(const t of e.split("\n")){if(!t.trim())continue;const e=JSON.parse(t),s=Cassette.#x(e.request);this.#E.has(s)||this.#E.set(s,[]),this.#E.get(s).push(e.response)}}#S(e,t){const s=(t.method??"GET").toUpperCase(),r=new URL(e).pathname;let a=null,n=null;if("string"==typeof t.body&&t.body)try{const e=JSON.parse(t.body);"string"==typeof e.prompt&&/^js-sdk-prompt-\d+$/.test(e.prompt)&&delete e.prompt,n=e.profile??null,a=e}catch{a=t.body}return{method:s,path:r,profile:n,body:a}}async#A(e,t,s){const r=await this.#O(t,s);let a=await r.text();e.path.endsWith("/auth/jwt/refresh/v3")&&r.ok&&(a=JSON.stringify({token:"cassette-redacted-token"}));const n=Object.fromEntries(r.headers.entries()),o={request:e,response:{status:r.status,headers:n,body:a}};return this.#T=this.#T.then(()=>fs.appendFile(this.#f,JSON.stringify(o)+"\n","utf-8")),await this.#T,Cassette.#v(o.response)}#_(e,t){if(t?.aborted)throw t.reason;const s=this.#E.get(Cassette.#x(e));if(!s?.length)throw new CassetteError(`No recorded interaction in '${this.#f}' matches ${e.method} ${e.path}.`,{request:e});return Cassette.#v(s.shift())}static#x({method:e,path:t,body:s}){return`${e} ${t} ${stableStringify(s)}`}static#v({status:e,headers:t,body:s}){const r=![101,204,205,304].includes(e);return new Response(r?s:null,{status:e,headers:t})}}class InternalHttpClient{#M;#C;#L;#P;#N;#I;#b;#R;#k;#G=null;#$;constructor(e={},t){if(this.#P=t,void 0!==e.credentials&&"function"!=typeof e.credentials?.getToken)throw new Error("The `credentials` option must implement `getToken()`.");this.#C=e.credentials??null;const s=e.token??(this.#C?null:process.env.GRAZIE_JWT_TOKEN??process.env.GRAZIE_USER_JWT_TOKEN);if(!s&&!this.#C)throw new Error("An authentication token is required. Provide it via the `token` or `credentials` option, or the GRAZIE_JWT_TOKEN environment variable.");this.#M=s;const r=e.authType??AuthType.USER,a=e.endpoint??GatewayEndpoint.PRODUCTION;if(this.#L=`${a}/${r}/v5`,this.#N=resolveRetryPolicy(e.retry),this.#I={...DEFAULT_TIMEOUTS,...e.timeout},void 0!==e.fetch&&"function"!=typeof e.fetch)throw new Error("The `fetch` option must be a function compatible with the global fetch API.");const n=e.fetch??((e,t)=>fetch(e,t));this.#b=e.cassette?new Cassette(e.cassette,n).fetch:n,this.#R={...e.headers},this.#k=e.tokenRefreshLeewayMs??6e4,this.#$=e.unsafeRawEvents?null:{...DEFAULT_REDACTION,...e.redact}}getEventEmitter(){return this.#P}createRequestScope(e){return new RequestScope(e,this.#I)}async _fetchWithRetry(e,t,s=!1){const r=`${this.#L}${e}`,a=this.#N,{scope:n,...o}=t;this.#M||(this.#M=await this.#q());for(let t=1;;t++){if(n.signal.aborted)throw n.signal.reason;await this.#U();const i=this.#M,c={"Content-Type":"application/json","Grazie-Agent":JSON.stringify({name:"js-library-client",version:"2.14.0"}),...this.#R,"Grazie-Authenticate-JWT":i,...o.headers},l=this.#$?redactRequestBody(o.body,this.#$):o.body;this.#P.emit("api_request",{url:r,method:o.method,body:l});const h=n.attemptSignal();let p;try{p=await this.#b(r,{...o,headers:c,signal:h.signal})}catch(e){if(n.signal.aborted)throw n.signal.reason;if(e instanceof APIError)throw e;const s=h.signal.aborted?h.signal.reason:e;if(t>=a.maxAttempts)throw s;const o=computeRetryDelay(a,t,null);this.#P.emit("retry_attempt",{url:r,attempt:t+1,maxAttempts:a.maxAttempts,delayMs:o,error:s}),await sleep(o,n.signal);continue}finally{h.clear()}if(this.#P.emit("api_response",{url:r,status:p.status,ok:p.ok}),!p.ok){if(401===p.status&&!s){if(await(p.body?.cancel().catch(()=>{})),this.#C&&this.#M===i){const e=await this.#q();e&&e!==i&&(this.#M=e)}if(this.#M!==i)return this._fetchWithRetry(e,{...o,scope:n},s);if(await this.#F(),n.signal.aborted)throw n.signal.reason;return this._fetchWithRetry(e,{...o,scope:n},!0)}if(a.retryableStatuses.has(p.status)&&t<a.maxAttempts){const e=computeRetryDelay(a,t,p);await(p.body?.cancel().catch(()=>{})),this.#P.emit("retry_attempt",{url:r,attempt:t+1,maxAttempts:a.maxAttempts,delayMs:e,status:p.status}),await sleep(e,n.signal);continue}let c;try{c=await p.json()}catch(e){c={message:"Failed to parse error response from API.",responseText:await p.text().catch(()=>"")}}const l=new APIStatusError(`API request failed with status ${p.status}`,p.status,c);throw this.#P.emit("error",l),l}if(!p.body){const e=new APIError("API returned a successful status but with an empty response body.",p.status,null);throw this.#P.emit("error",e),e}return p}}async _refreshToken(e){const t=`${this.#L}/auth/jwt/refresh/v3`,s={"Content-Type":"application/json",...this.#R,"Grazie-Authenticate-JWT":this.#M},r=await this.#b(t,{method:"POST",body:JSON.stringify({}),headers:s,signal:e});if(!r.ok)throw new APIStatusError("Token refresh failed",r.status,await r.json().catch(()=>({})));const a=await r.json();if(!a.token)throw new APIError("Token refresh response did not contain a new token.",r.status,a);return a.token}#F(e=!1){return this.#G??=(async()=>{const t=decodeJwtExpiry(this.#M);try{this.#P.emit("token_refresh_start");const e=this.#I.firstByteMs>0?AbortSignal.timeout(this.#I.firstByteMs):void 0,t=await this._refreshToken(e);return this.#M=t,this.#P.emit("token_refresh_success",this.#$?.maskTokens?maskToken(t):t),await this.#j(t),t}catch(s){throw e&&null!==t&&t>Date.now()?this.#P.emit("credentials_warning",{message:`Failed to refresh the token ahead of expiry; continuing with the current token: ${s.message}`,error:s}):this.#P.emit("error",s),s}finally{this.#G=null}})(),this.#G}async#U(){if(this.#G)return void await this.#G.catch(()=>{});const e=decodeJwtExpiry(this.#M);if(!(null===e||e-Date.now()>this.#k))try{await this.#F(!0)}catch(t){if(e<=Date.now())throw t}}async#q(){const e=await(this.#C?.getToken());if(!e&&!this.#M)throw new Error("The credentials provider did not return an authentication token.");return e||this.#M}async#j(e){if(this.#C?.onRefreshed)try{await this.#C.onRefreshed(e)}catch(e){this.#P.emit("credentials_warning",{message:`Failed to persist the refreshed token: ${e.message}`,error:e})}}}export class FileCredentials{#f;constructor(e){if(!e)throw new Error("FileCredentials requires a file path.");this.#f=e}async getToken(){const e=await fs.readFile(this.#f,"utf-8");try{const t=JSON.parse(e);if("string"==typeof t?.token)return t.token}catch{}const t=/export\s+const\s+token\s*=\s*(["'`])([^"'`]*)\1/.exec(e);return t?t[2]:e.trim()}async onRefreshed(e){const t=extname(this.#f).toLowerCase();let s;s=".json"===t?JSON.stringify({token:e,updatedAt:(new Date).toISOString()},null,2)+"\n":[".mjs",".js"].includes(t)?`// This file is auto-generated. Do not edit manually.\n// Last updated: ${(new Date).toISOString()}\nexport const token = ${JSON.stringify(e)};\n`:e+"\n",await writeFileAtomic(this.#f,s,384)}}export class EnvCredentials{#D;constructor(e="GRAZIE_JWT_TOKEN"){this.#D=e}getToken(){return process.env[this.#D]}onRefreshed(e){process.env[this.#D]=e}}export class ParameterBuilder{#J={};temperature(e){return this.#J.TEMPERATURE=e,this}topP(e){return this.#J.TOP_P=e,this}topK(e){return this.#J.TOP_K=e,this}length(e){return this.#J.LENGTH=e,this}stopToken(e){return this.#J.STOP_TOKEN=e,this}seed(e){return this.#J.SEED=e,this}asJson(e){return this.#J.RESPONSE_FORMAT=e?{type:"json",schema:e}:{type:"json"},this}toolChoiceAuto(e=!0){return this.#J.TOOL_CHOICE_AUTO=e,this}toolChoiceRequired(e=!0){return this.#J.TOOL_CHOICE_REQUIRED=e,this}toolChoiceNone(e=!0){return this.#J.TOOL_CHOICE_NONE=e,this}toolChoiceNamed(e){return this.#J.TOOL_CHOICE_NAMED={type:"function",function:{name:e}},this}parallelToolCalls(e=!0){return this.#J.PARALLEL_TOOL_CALLS=e,this}reasoningEffort(e){return this.#J.REASONING_EFFORT=e,this}predictedOutput(e){return this.#J.PREDICTED_OUTPUT=e,this}cachePoints(e){return this.#J.CACHE_POINTS=e,this}thinkingBudget(e){return this.#J.THINKING_BUDGET=e,this}numberOfChoices(e){return this.#J.NUMBER_OF_CHOICES=e,this}verbosity(e){return this.#J.VERBOSITY=e,this}_build(){return this.#J}}export class ChatSession{#H;#W;#B=[];#K={};#V=null;#z=null;#Q=null;constructor(e,t){this.#H=e,this.#W=t}withTools(e){return this.#B=e,this}withSystemMessage(e){return this.#V=e,this}withParameters(e){const t=new ParameterBuilder;return this.#K=e(t)._build(),this}withContextStrategy(e,t={}){if(e&&void 0===t.maxTokens&&void 0===getContextWindow(this.#W))throw new Error(`The context window of profile '${this.#W}' is unknown; pass \`maxTokens\` to withContextStrategy().`);return this.#z=e?{strategy:e,...t}:null,this}withRetrieval(e,t={}){const s=t.embed??e?.embed;if(e&&"function"!=typeof s)throw new Error("withRetrieval() requires an `embed` function, in its options or in those of the VectorIndex.");return this.#Q=e?{topK:4,format:formatRetrievedContext,...t,embed:s,index:e,cache:{query:null,citations:[]}}:null,this}async*stream(e,t={}){const s=Array.isArray(e)?e:[createUserMessage(e)],r=void 0!==this.#Q?.query?this.#Q.query:retrievalQueryOf(s),a=await this.#Y(s,t.signal),n=await this.#Z(r,t.signal),o=this.#X(a,n,r),i=this.#H.createRequestScope(t.signal);let c;try{c=await this.#H._fetchWithRetry("/llm/chat/stream/v8",{method:"POST",body:JSON.stringify(o),scope:i})}catch(e){throw i.dispose(),e}const l=new SSEParser;try{n&&(yield{type:"citations",citations:n});for await(const e of readSSEEvents(c,i))yield*l.parseEvent(e)}finally{await(c.body?.cancel().catch(()=>{})),i.dispose()}const h=l.getFinalResult();for(const e of h.choices)e.toolCalls.length>0&&(yield{type:"tool_calls",calls:e.toolCalls,choiceIndex:e.index});return{...h,citations:n??[]}}async complete(e,t={}){const s=Date.now(),r=Array.isArray(e)?[...e]:[createUserMessage(e)],a=new Map;let n=null,o=[];for await(const e of this.stream(r,t))"quota"===e.type?n=e.data:"citations"===e.type?o=e.citations:accumulateChoice(a,e);const i=Array.from(a.values()).sort((e,t)=>e.index-t.index),{text:c,toolCalls:l,finishReason:h}=a.get(0)??{text:"",toolCalls:[],finishReason:null};(c||0===l.length)&&r.push(createAssistantTextMessage(c));for(const e of l)r.push(createAssistantToolCallMessage(e.id,e.name,e.arguments));return{text:c,toolCalls:l,finishReason:h,quota:n,citations:o,messages:r,choices:i,latencyMs:Date.now()-s}}async*step(e,t={}){const s=this.#H.getEventEmitter();let r=this.#ee(e);t.forceTextResponse&&(r=r.#te({parameters:{...this.#K,TOOL_CHOICE_NONE:!0}}));const a=t.autoContinue?{...DEFAULT_AUTO_CONTINUE,...!0===t.autoContinue?{}:t.autoContinue}:null;let n=[],o="",i=null,c=null,l=[],h=[...e],p=e;for(let h=0;;h++){const m=r.stream(p,{signal:t.signal}),u=new Map;for await(const e of m)"quota"===e.type?c=e.data:"citations"===e.type&&(l=e.citations),accumulateChoice(u,e);const d=await selectChoice(u,t.choice);if(o+=d.text,n=d.toolCalls,i=d.finishReason,!a||"length"!==i||n.length>0||h>=a.maxContinuations)break;s.emit("response_continuation",{continuation:h+1,maxContinuations:a.maxContinuations}),p=[...e,createAssistantTextMessage(o),createUserMessage(a.prompt)]}if(n.length>0){s.emit("tool_start",{calls:n});const e=(yield{type:"tool_request",calls:n,commentary:o})??[];s.emit("tool_finish",{results:e}),o&&h.push(createAssistantTextMessage(o));const t=new Map(e.filter(e=>null!=e?.id).map(e=>[e.id,e]));n.forEach((r,a)=>{let n=t.get(r.id);const o=e[a];n||!o||null!=o.id||void 0!==o.name&&o.name!==r.name||(n=o),n||(s.emit("tool_warning",{message:`No result was provided for tool call '${r.id}' (${r.name}); reporting it as not executed.`}),n={id:r.id,name:r.name,success:!1,error:"The tool call was not executed."});const i=n.success?n.result:{error:n.error||"Unknown execution error",...n.validationErrors&&{validationErrors:n.validationErrors}};h.push(createAssistantToolCallMessage(r.id,r.name,n.arguments??r.arguments)),h.push(createToolResultMessage(r.id,r.name,JSON.stringify(i)))})}else h.push(createAssistantTextMessage(o));const m=n.length>0;return{type:"text_response",content:m?"":o,commentary:m?o:"",usedTools:m,messages:h,finishReason:i,quota:c,citations:l}}async run(e,t={}){const{text:s,stoppedBecause:r}=await this.runDetailed(e,t);return s||"max_iterations"!==r?s:"The model reached the maximum tool iteration limit and could not provide a final text response."}async runDetailed(e,t={}){const{maxIterations:s=5,signal:r,autoContinue:a,choice:n,onToolCalls:o}=t;let i=Array.isArray(e)?[...e]:[createUserMessage(e)];const c=this.#H.getEventEmitter();if(!o&&this.#B.some(e=>e.requiresApproval))throw new Error("Tools marked `requiresApproval` need an `onToolCalls` handler to run.");const l=[];let h=null;const p=new Map,m=(e,t,s)=>({text:e,messages:i,toolInvocations:l,iterations:t,stoppedBecause:s,quota:h,citations:Array.from(p.values())}),u=e=>{i=e.messages,h=e.quota??h;for(const t of e.citations)p.has(t.id)||p.set(t.id,t)};for(let e=0;e<s;e++){const t=e===s-1;t&&c.emit("tool_warning",{message:`Maximum tool iteration limit (${s}) reached. Forcing model to generate final text response.`});const h=t&&e>0?"max_iterations":"completed",p=this.step(i,{forceTextResponse:t,signal:r,autoContinue:a,choice:n});let d=await p.next();if(d.done)return u(d.value),m(d.value.content,e+1,h);const{calls:f}=d.value,y=await this.#se(f,i,o,r);f.forEach((t,s)=>{const r=y[s],a=void 0===r?.arguments?t:{...t,arguments:r.arguments};l.push({iteration:e+1,call:a,result:r})}),d=await p.next(y),u(d.value)}return m("",s,"max_iterations")}async#se(e,t,s,r){if(!s)return executeTools(e,this.#B,{signal:r});const a=new Map(this.#B.map(e=>[e.name,e])),n=!this.#B.some(e=>e.requiresApproval),o=e.filter(e=>n||a.get(e.name)?.requiresApproval),i=new Map;if(o.length>0){const e=await s(o,{messages:t});if(!Array.isArray(e))throw new Error("`onToolCalls` must return an array with one decision per tool call.");o.forEach((t,s)=>{if(null==e[s])throw new Error(`\`onToolCalls\` returned no decision for tool call '${t.id}' (${t.name}).`);i.set(t,e[s])})}const c=new Array(e.length),l=[];e.forEach((e,t)=>{let s=i.get(e)??{type:"approve"};switch(!0===s&&(s={type:"approve"}),!1===s&&(s={type:"reject"}),s.type){case"approve":l.push({index:t,call:e});break;case"edit":{const r="string"==typeof s.arguments?s.arguments:JSON.stringify(s.arguments??{});l.push({index:t,call:{...e,arguments:r}});break}case"reject":c[t]={id:e.id,name:e.name,success:!1,rejected:!0,error:s.reason?`The user rejected this tool call: ${s.reason}`:"The user rejected this tool call."};break;default:throw new Error(`Unknown tool call decision type '${s.type}'.`)}});return(await executeTools(l.map(({call:e})=>e),this.#B,{signal:r})).forEach((t,s)=>{const{index:r,call:a}=l[s];c[r]=a.arguments===e[r].arguments?t:{...t,arguments:a.arguments}}),c}async generateObject(e,t,s={}){const{maxRepairs:r=2,name:a="respond_with_object",description:n="Respond with an object matching the given schema.",signal:o}=s,i=s.mode&&"auto"!==s.mode?s.mode:this.#re(),c=this.#ee(e).#ae(i,t,a,n);let l=this.#ne(e,i,t),h=[],p="";for(let e=1;e<=r+1;e++){const s=await c.complete(l,{signal:o}),r=s.toolCalls.find(e=>e.name===a);let n;p="tool"===i?r?.arguments??s.text:s.text;try{n="tool"===i?JSON.parse(r?.arguments||"null"):extractJson(p),h=validateJsonSchema(n,t).errors}catch(e){h=[`$: the response is not valid JSON (${e.message})`]}if(0===h.length)return{object:n,mode:i,attempts:e,messages:s.messages};const m=`The response did not match the required JSON Schema:\n- ${h.join("\n- ")}\nFix these problems and respond again.`;l="tool"===i&&r?[...l,createAssistantToolCallMessage(r.id,r.name,r.arguments),createToolResultMessage(r.id,r.name,JSON.stringify({error:m}))]:[...l,createAssistantTextMessage(p),createUserMessage(m)]}throw new SchemaValidationError(`The model did not produce an object matching the schema after ${r+1} attempts.`,h,p)}async*streamObject(e,t,s={}){const{name:r="respond_with_object",description:a="Respond with an object matching the given schema.",signal:n}=s,o=s.mode&&"auto"!==s.mode?s.mode:this.#re(),i=this.#ee(e).#ae(o,t,r,a),c=this.#ne(e,o,t);let l,h="",p=null;for await(const e of i.stream(c,{signal:n})){let t;if("tool"===o){if("tool_call_delta"!==e.type||e.name!==r||0!==(e.choiceIndex??0))continue;p=e.arguments,t=e.partialArguments}else{if("text"!==e.type||0!==(e.choiceIndex??0))continue;h+=e.content;const s=h.search(/[[{]/);if(-1===s)continue;t=parsePartialJson(h.slice(s).replace(/```\s*$/,""))}const s=void 0===t?void 0:stableStringify(t);void 0!==s&&s!==l&&(l=s,yield{type:"partial",object:t})}const m="tool"===o?p??h:h;let u;try{u="tool"===o?JSON.parse(p||"null"):extractJson(h)}catch(e){throw new SchemaValidationError("The streamed response is not valid JSON.",[`$: ${e.message}`],m)}if(t){const{errors:e}=validateJsonSchema(u,t);if(e.length>0)throw new SchemaValidationError("The streamed object does not match the schema.",e,m)}return yield{type:"object",object:u},u}#ae(e,t,s,r){return"json"===e?this.#te({parameters:{...this.#K,RESPONSE_FORMAT:t?{type:"json",schema:t}:{type:"json"}}}):"tool"===e?this.#te({tools:[{name:s,description:r,parameters:{schema:t??{type:"object"}}}],parameters:{...this.#K,TOOL_CHOICE_NAMED:{type:"function",function:{name:s}}}}):this}#ne(e,t,s){const r=Array.isArray(e)?[...e]:[createUserMessage(e)];return"tool"!==t&&r.push(createUserMessage(s?`Respond only with JSON that conforms to this JSON Schema:\n${JSON.stringify(s)}`:"Respond only with JSON.")),r}#re(){const e=modelProfiles[this.#W]?.params;return!e||e.has(LLMParameters.RESPONSE_FORMAT.fqdn)?"json":e.has(LLMParameters.TOOLS.fqdn)&&e.has(LLMParameters.TOOL_CHOICE_NAMED.fqdn)?"tool":"prompt"}#te({tools:e=this.#B,parameters:t=this.#K,context:s=this.#z,retrieval:r=this.#Q}){const a=new ChatSession(this.#H,this.#W).withTools(e).withSystemMessage(this.#V);return a.#K=t,a.#z=s,a.#Q=r,a}async#Y(e,t){if(!this.#z)return e;const{strategy:s,maxTokens:r,reserveTokens:a}=this.#z;let n=r;if(void 0===n){const e=a??this.#K.LENGTH??4096,t=this.#B.map(({name:e,description:t,parameters:s})=>({name:e,description:t,parameters:s}));n=getContextWindow(this.#W)-e-(this.#V?estimateTokens(this.#V):0)-(this.#B.length>0?estimateTokens(JSON.stringify(t)):0)}if(!(n>0))throw new Error(`No room is left for the history of profile '${this.#W}': the token budget is ${n}. Lower \`reserveTokens\` or the \`length\` parameter, or pass \`maxTokens\` to withContextStrategy().`);const o=modelProfiles[this.#W]?.params,i=!o||o.has(LLMParameters.TOOL_CHOICE_NONE.fqdn),c=this.#B.length>0&&i?this.#te({parameters:{TOOL_CHOICE_NONE:!0},context:null,retrieval:null}):this.#te({tools:[],parameters:{},context:null,retrieval:null}),l=estimateTokens(e),h=await s(e,{maxTokens:n,profile:this.#W,session:c,signal:t,estimateTokens:estimateTokens}),p=estimateTokens(h);return p<l&&this.#H.getEventEmitter().emit("context_trimmed",{profile:this.#W,messagesBefore:e.length,messagesAfter:h.length,tokensBefore:l,tokensAfter:p}),h}#ee(e){return this.#Q&&void 0===this.#Q.query?this.#te({retrieval:{...this.#Q,query:retrievalQueryOf(e)}}):this}async#Z(e,t){const s=this.#Q;if(!s||!e)return null;if(s.cache.query!==e){const[r]=await s.embed([e],{signal:t});if(!r)throw new Error("The `embed` function returned no vector for the retrieval query.");const a=s.index.search(r,{topK:s.topK,filter:s.filter,minScore:s.minScore});Object.assign(s.cache,{query:e,citations:a.map((e,t)=>({number:t+1,...e}))})}return s.cache.citations}#X(e,t=null,s=null){const r=[...e];if(t?.length>0){const e=r.findLastIndex(e=>"user_message"===e.type&&e.content===s);r.splice(Math.max(e,0),0,createSystemMessage(this.#Q.format(t)))}this.#V&&!e.some(e=>"system_message"===e.type)&&r.unshift(createSystemMessage(this.#V));const a={profile:this.#W,prompt:`js-sdk-prompt-${Date.now()}`,chat:{messages:r}},n=buildParametersArray(this.#K,this.#B,this.#W,this.#H.getEventEmitter());return n&&(a.parameters=n),a}}export class Conversation{#oe;#ie;#f=null;#ce=Promise.resolve();constructor(e,t={}){if(!(e instanceof ChatSession))throw new Error("A Conversation requires a ChatSession.");this.#oe=e,this.#ie=[...t.messages??[]]}static async open(e,t){let s="";try{s=await fs.readFile(t,"utf-8")}catch(e){if("ENOENT"!==e.code)throw e}const r=s.split("\n").filter(e=>e.trim()).map(e=>JSON.parse(e)),a=new Conversation(e,{messages:r});return a.#f=t,a}static fromJSON(e,t){const s="string"==typeof t?JSON.parse(t):t;if(!Array.isArray(s?.messages))throw new Error("Conversation data must contain a `messages` array.");return new Conversation(e,{messages:s.messages})}get history(){return this.#ie.map(e=>({...e}))}get path(){return this.#f}send(e,t={}){return this.#le(async()=>{const s="string"==typeof e?[createUserMessage(e)]:[].concat(e),r=await this.#oe.runDetailed([...this.#ie,...s],t),a=r.messages.slice(this.#ie.length);return this.#f&&await fs.appendFile(this.#f,toJsonLines(a),"utf-8"),this.#ie.push(...a),r.text})}undo(){return this.#le(async()=>{const e=e=>"user_message"===e.type||"media_message"===e.type,t=this.#ie.findLastIndex((t,s)=>e(t)&&(0===s||!e(this.#ie[s-1])));if(-1===t)return[];const s=this.#ie.slice(0,t);return this.#f&&await writeFileAtomic(this.#f,toJsonLines(s)),this.#ie.splice(t)})}fork(){return new Conversation(this.#oe,{messages:this.history})}async save(e=this.#f){if(!e)throw new Error("A file path is required to save a conversation.");return this.#le(async()=>{await writeFileAtomic(e,toJsonLines(this.#ie)),this.#f=e})}toJSON(){return{messages:this.history}}#le(e){const t=this.#ce.then(e);return this.#ce=t.catch(()=>{}),t}}export class ChatAPI{#H;constructor(e){this.#H=e}session(e){if(!e||"string"!=typeof e)throw new Error("A valid model profile string is required to start a chat session.");return new ChatSession(this.#H,e)}}export class TaskAPI{#H;constructor(e){this.#H=e}async roster(e={}){const t=this.#H.createRequestScope(e.signal);try{const e=await this.#H._fetchWithRetry("/task/roster",{method:"GET",scope:t});return await e.json()}catch(e){throw t.signal.aborted?t.signal.reason:e}finally{t.dispose()}}async*stream(e,t,s={}){const{taskId:r,tag:a}=this.#he(e),n={};a&&(n["Grazie-Task-Tag"]=a);const o={parameters:t},i=this.#H.createRequestScope(s.signal);let c;try{c=await this.#H._fetchWithRetry(`/task/stream/v4/${r}`,{method:"POST",body:JSON.stringify(o),headers:n,scope:i})}catch(e){throw i.dispose(),e}const l=new TaskSSEParser;for await(const e of readSSEEvents(c,i)){const t=l.parseEvent(e);t&&(yield t)}}async execute(e,t,s={}){const r=this.stream(e,t,s);let a="";const n=[];let o=null,i=null,c=null,l=null;for await(const e of r)switch(e.type){case"Content":a+=e.content;break;case"QuotaMetadata":o=e.data;break;case"ExecutionMetadata":n.push(e.data);break;case"FinishMetadata":i=e.data;break;case"UnknownMetadata":c=e.data;break;case"FunctionCallMetadata":l=e.data}return{content:a,quotaMetadata:o,executionMetadata:n,finishMetadata:i,unknownMetadata:c,functionCallMetadata:l}}#he(e){const t=e.split(":",2);return{taskId:t[0],tag:t[1]||null}}}export class VectorIndex{#pe;#me=null;#ue=new Map;#de=0;constructor(e={}){if(void 0!==e.embed&&"function"!=typeof e.embed)throw new Error("The `embed` option of a VectorIndex must be a function.");this.#pe=e.embed??null}get embed(){return this.#pe}get dimensions(){return this.#me}get size(){return this.#ue.size}add(e){for(const t of e){if(void 0===t.id||null===t.id)throw new Error("Every vector index entry needs an id.");const e=Float32Array.from(t.vector??[]);if(0===e.length)throw new Error(`Vector for entry '${t.id}' is empty.`);if(this.#me??=e.length,e.length!==this.#me)throw new Error(`Vector for entry '${t.id}' has ${e.length} dimensions; the index uses ${this.#me}.`);const s=vectorNorm(e);this.#ue.set(String(t.id),{id:String(t.id),vector:e,norm:s,text:t.text??null,metadata:t.metadata??{}})}return this}async addTexts(e,t={}){if(!this.#pe)throw new Error("addTexts() requires the `embed` option of the VectorIndex.");const s=await this.#pe(e.map(e=>e.text),{signal:t.signal});if(!Array.isArray(s)||s.length!==e.length)throw new Error(`The \`embed\` function returned ${Array.isArray(s)?s.length:"no"} vectors for ${e.length} texts.`);const r=new Set(e.filter(e=>null!=e.id).map(e=>String(e.id))),a=()=>{for(;this.#ue.has(String(this.#de))||r.has(String(this.#de));)this.#de++;return String(this.#de++)};return this.add(e.map((e,t)=>({...e,id:e.id??a(),vector:s[t]})))}remove(e){return this.#ue.delete(String(e))}search(e,t={}){const{topK:s=4,filter:r,minScore:a=-1/0}=t,n=Float32Array.from(e);if(null!==this.#me&&n.length!==this.#me)throw new Error(`Query vector has ${n.length} dimensions; the index uses ${this.#me}.`);const o=vectorNorm(n),i=[];for(const e of this.#ue.values()){if(r&&!VectorIndex.#fe(e,r))continue;let t=0;for(let s=0;s<n.length;s++)t+=n[s]*e.vector[s];const s=o&&e.norm?t/(o*e.norm):0;s>=a&&i.push({id:e.id,score:s,text:e.text,metadata:e.metadata})}return i.sort((e,t)=>t.score-e.score).slice(0,s)}toJSON(){const e=Array.from(this.#ue.values(),({id:e,vector:t,text:s,metadata:r})=>({id:e,vector:Array.from(t),text:s,metadata:r}));return{dimensions:this.#me,entries:e}}static fromJSON(e,t={}){const s="string"==typeof e?JSON.parse(e):e;if(!Array.isArray(s?.entries))throw new Error("Vector index data must contain an `entries` array.");return new VectorIndex(t).add(s.entries)}async save(e){await writeFileAtomic(e,JSON.stringify(this))}static async load(e,t={}){return VectorIndex.fromJSON(await fs.readFile(e,"utf-8"),t)}static#fe(e,t){return"function"==typeof t?Boolean(t(e.metadata,e)):Object.entries(t).every(([t,s])=>{const r=e.metadata[t];return Array.isArray(s)?s.includes(r):r===s})}}function vectorNorm(e){let t=0;for(let s=0;s<e.length;s++)t+=e[s]*e[s];return Math.sqrt(t)}function retrievalQueryOf(e){const t=Array.isArray(e)?e.findLast(e=>"user_message"===e.type)?.content:e;return"string"==typeof t&&t?t:null}function formatRetrievedContext(e){return`Use the following retrieved sources when they are relevant to the user's message, and cite them by number, like [1].\n\n${e.map(e=>`[${e.number}] ${e.text??""}`).join("\n\n")}`}function buildParametersArray(e,t=[],s="",r=null){const a=[],n=modelProfiles[s];if(t.length>0&&(!n||n.params.has(LLMParameters.TOOLS.fqdn))){a.push({type:LLMParameters.TOOLS.type,fqdn:LLMParameters.TOOLS.fqdn});const e=t.map(({execute:e,timeoutMs:t,maxConcurrency:s,sequential:r,retries:a,requiresApproval:n,...o})=>o);a.push({type:"json",value:JSON.stringify(e)})}for(const[t,o]of Object.entries(e)){const e=LLMParameters[t];if(!e)continue;if(n&&!n.params.has(e.fqdn)){r&&r.emit("parameter_warning",{parameter:t,profile:s,message:`Parameter '${t}' is not supported by model profile '${s}' and will be ignored.`});continue}a.push({type:e.type,fqdn:e.fqdn});const i={type:e.type};switch(e.type){case"double":case"int":i.value=Number(o);break;case"bool":i.value=Boolean(o);break;case"json":i.value=JSON.stringify(o);break;default:i.value=String(o)}a.push(i)}return a.length>0?{data:a}:null}export class MerciClient extends EventEmitter{chat;tasks;constructor(e={}){super();const t=new InternalHttpClient(e,this);this.chat=new ChatAPI(t),this.tasks=new TaskAPI(t)}}
\ No newline at end of file
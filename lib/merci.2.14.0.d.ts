@@ -10,8 +10,19 @@ import { Buffer } from 'node:buffer';
 export interface ToolDefinition {
     name: string;
     description: string;
-    parameters: object; // JSON Schema object
-    execute: (args: any) => any | Promise<any>;
+    parameters: object; // `{ schema }` wrapping a JSON Schema object (validated before execute)
+    /** Runs the tool. `context.signal` aborts on timeout or when the surrounding request is cancelled. */
+    execute: (args: any, context: { signal: AbortSignal }) => any | Promise<any>;
+    /** Fails an attempt that takes longer than this many milliseconds. */
+    timeoutMs?: number;
+    /** The maximum number of calls to this tool that may run at once. */
+    maxConcurrency?: number;
+    /** Runs each call to this tool on its own, after all earlier calls finish and before later ones start. */
+    sequential?: boolean;
+    /** How many times to re-run a call that threw or timed out. Defaults to 0. */
+    retries?: number;
+    /** Calls to this tool are passed to `run()`'s `onToolCalls` hook before they execute. */
+    requiresApproval?: boolean;
 }
 
 /** A structured message representing the user's input. */
@@ -67,10 +78,21 @@ export interface ToolCall {
 
 /** Represents the successful or failed result of executing a single tool. */
 export interface ToolExecutionResult {
+    /** The id of the tool call this result answers. `step()` matches results to calls by it. */
+    id?: string;
     name: string;
     success: boolean;
     result?: any;
     error?: string;
+    /** Set when the call was not executed because its arguments failed schema validation. */
+    validationErrors?: string[];
+    /** Set when the call was not executed because the approval hook rejected it. */
+    rejected?: boolean;
+    /**
+     * The arguments the call was executed with, when they differ from the model's (e.g. edited by
+     * the approval hook). `step()` records these in the transcript instead of the original ones.
+     */
+    arguments?: string;
 }
 
 // --- AGENTIC WORKFLOW TYPES (v2.14.0) ---
@@ -79,13 +101,59 @@ export interface ToolExecutionResult {
 export interface AgentToolRequest {
     type: 'tool_request';
     calls: ToolCall[];
+    /** Any text the model streamed before requesting the tools. */
+    commentary: string;
 }
 
 /** Represents the final object returned by the step() generator. */
 export interface AgentTextResponse {
     type: 'text_response';
+    /** The model's answer. Empty when the step ended with tool calls. */
     content: string;
+    /** Text the model streamed alongside its tool calls; it is kept in `messages` as well. */
+    commentary: string;
+    /** Whether the model requested tools in this step, i.e. whether the loop should continue. */
+    usedTools: boolean;
+    messages: ChatMessage[];
+    /** The finish reason of the last response in this step. */
+    finishReason: string | null;
+    /** The quota metadata reported for this step, if any. */
+    quota: object | null;
+    /** Index entries retrieved for this step when the session uses `withRetrieval()`. */
+    citations: Citation[];
+}
+
+/** A tool call made during `runDetailed()`, with the result that was sent back to the model. */
+export interface ToolInvocation {
+    /** The model turn (starting at 1) that requested the call. */
+    iteration: number;
+    call: ToolCall;
+    result: ToolExecutionResult;
+}
+
+/** The outcome of `ChatSession.runDetailed()`. */
+export interface RunResult {
+    /** The final text response. May be empty if the iteration limit was reached. */
+    text: string;
+    /** The full conversation, including tool calls, tool results and the final answer. */
     messages: ChatMessage[];
+    toolInvocations: ToolInvocation[];
+    /** The number of model turns taken. */
+    iterations: number;
+    /** `max_iterations` if the iteration limit forced the final answer. */
+    stoppedBecause: 'completed' | 'max_iterations';
+    /** The latest quota metadata reported by the server, if any. */
+    quota: object | null;
+    /** Every index entry retrieved during the run, once each. */
+    citations: Citation[];
+}
+
+/** Controls how responses truncated by the `length` parameter are resumed. */
+export interface AutoContinueOptions {
+    /** Maximum number of follow-up requests per step. Defaults to 3. */
+    maxContinuations?: number;
+    /** The user message asking the model to continue. */
+    prompt?: string;
 }
 
 
@@ -94,11 +162,17 @@ export interface AgentTextResponse {
 export interface TextStreamEvent {
     type: 'text';
     content: string;
+    /**
+     * The index of the choice this event belongs to (0 unless several choices were requested).
+     * Read from the records' `choiceIndex` field, which the gateway does not document yet.
+     */
+    choiceIndex: number;
 }
 
 export interface ToolCallsStreamEvent {
     type: 'tool_calls';
     calls: ToolCall[];
+    choiceIndex: number;
 }
 
 export interface QuotaStreamEvent {
@@ -106,8 +180,100 @@ export interface QuotaStreamEvent {
     data: object;
 }
 
+/** Emitted first, before any model output, when the session uses `withRetrieval()`. */
+export interface CitationsStreamEvent {
+    type: 'citations';
+    /** The index entries inserted into the request, numbered as the model was asked to cite them. */
+    citations: Citation[];
+}
+
+/** Emitted when the model reports why it stopped generating. */
+export interface FinishStreamEvent {
+    type: 'finish';
+    /** E.g. 'stop', 'length' (cut off by the `length` parameter) or 'tool_call'. */
+    reason: string | null;
+    /** The raw `FinishMetadata` record. */
+    data: object;
+    choiceIndex: number;
+}
+
+/** Emitted when the model starts a tool call. */
+export interface ToolCallStartStreamEvent {
+    type: 'tool_call_start';
+    /** The call's `parallelToolIndex`. */
+    index: number;
+    id: string | null;
+    name: string | null;
+    choiceIndex: number;
+}
+
+/** Emitted for each fragment of a tool call's arguments. */
+export interface ToolCallDeltaStreamEvent {
+    type: 'tool_call_delta';
+    index: number;
+    id: string | null;
+    name: string | null;
+    /** The new argument fragment. */
+    delta: string;
+    /** All argument text received so far. */
+    arguments: string;
+    /** A best-effort parse of the incomplete arguments (see `parsePartialJson`), computed on first access. */
+    readonly partialArguments: any;
+    choiceIndex: number;
+}
+
+/** Emitted when a tool call's arguments are complete. */
+export interface ToolCallEndStreamEvent {
+    type: 'tool_call_end';
+    index: number;
+    call: ToolCall;
+    choiceIndex: number;
+}
+
 /** A union of all possible events yielded by the chat response stream. */
-export type StreamEvent = TextStreamEvent | ToolCallsStreamEvent | QuotaStreamEvent;
+export type StreamEvent = TextStreamEvent | ToolCallsStreamEvent | QuotaStreamEvent | FinishStreamEvent
+    | ToolCallStartStreamEvent | ToolCallDeltaStreamEvent | ToolCallEndStreamEvent | CitationsStreamEvent;
+
+/** The return value of the `stream()` generator, available once the stream is exhausted. */
+export interface StreamSummary {
+    /** Tool calls of choice 0. */
+    toolCalls: ToolCall[];
+    /** The reason reported by the model for ending generation (e.g. 'stop', 'length', 'tool_call'). */
+    finishReason: string | null;
+    finishMetadata: object | null;
+    /** Per-choice summaries, ordered by index. */
+    choices: Array<{ index: number; toolCalls: ToolCall[]; finishReason: string | null; finishMetadata: object | null }>;
+    /** Index entries retrieved for the request; empty without `withRetrieval()`. */
+    citations: Citation[];
+}
+
+/** One candidate response when several choices are requested with `numberOfChoices()`. */
+export interface Choice {
+    index: number;
+    text: string;
+    toolCalls: ToolCall[];
+    finishReason: string | null;
+}
+
+/** Picks the choice a conversation continues with. */
+export type ChoiceSelector = (candidates: Choice[]) => number | Promise<number>;
+
+/** The aggregated result of `ChatSession.complete()`. */
+export interface CompletionResult {
+    text: string;
+    /** Tool calls requested by the model. They are not executed. */
+    toolCalls: ToolCall[];
+    finishReason: string | null;
+    /** The last quota metadata reported during the stream. */
+    quota: object | null;
+    /** Index entries retrieved for the request; empty without `withRetrieval()`. */
+    citations: Citation[];
+    /** The input history followed by the assistant's response (choice 0). */
+    messages: ChatMessage[];
+    /** Every candidate response, ordered by index. The top-level fields describe choice 0. */
+    choices: Choice[];
+    latencyMs: number;
+}
 
 
 // --- TASK API TYPES ---
@@ -143,6 +309,143 @@ export interface TaskResult {
 }
 
 
+// --- CLIENT CONFIGURATION TYPES ---
+
+/** Controls how transient failures (network errors, 429s and 5xx responses) are retried. */
+export interface RetryOptions {
+    /** Total number of attempts, including the first one. Defaults to 3. */
+    maxAttempts?: number;
+    /** Delay before the first retry; doubled on each subsequent attempt. Defaults to 500. */
+    baseDelayMs?: number;
+    /** Upper bound for any retry delay, including one taken from `Retry-After`. Defaults to 8000. */
+    maxDelayMs?: number;
+    /** Randomizes each delay between 0 and the computed backoff ("full jitter"). Defaults to true. */
+    jitter?: boolean;
+    /** Waits for the duration given in a `Retry-After` response header when present, capped at `maxDelayMs`. Defaults to true. */
+    respectRetryAfter?: boolean;
+    /** HTTP statuses that are retried. Defaults to [408, 429, 500, 502, 503, 504]. */
+    retryableStatuses?: number[];
+}
+
+/** Client-level timeouts. A value of 0 disables the corresponding timeout. */
+export interface TimeoutOptions {
+    /** Maximum time to wait for response headers on each attempt. Defaults to 60000. */
+    firstByteMs?: number;
+    /** Maximum time for the whole request, including reading the streamed body. Defaults to 0 (disabled). */
+    totalMs?: number;
+}
+
+/**
+ * Record-and-replay configuration for deterministic offline tests.
+ * Interactions are stored as JSON lines and matched on method, path and normalized request body.
+ */
+export interface CassetteOptions {
+    /** Path of the JSONL fixture file. */
+    path: string;
+    /**
+     * `record` forwards requests and overwrites the file, `replay` serves responses from it
+     * without network access, `auto` replays when the file exists and records otherwise.
+     * Defaults to `auto`.
+     */
+    mode?: 'record' | 'replay' | 'auto';
+}
+
+/**
+ * Supplies the authentication token and persists refreshed ones.
+ * `getToken()` is called before the first request and again after a 401, so a token
+ * refreshed by another process sharing the same store is picked up without a new refresh.
+ */
+export interface CredentialsProvider {
+    getToken(): string | undefined | Promise<string | undefined>;
+    /** Called after the SDK obtains a new token from the refresh endpoint. */
+    onRefreshed?(token: string): void | Promise<void>;
+}
+
+/** Controls what is removed from emitted events before listeners see them. */
+export interface RedactionOptions {
+    /**
+     * Dot paths into the JSON request body whose values are replaced with `'[REDACTED]'`.
+     * `*` matches every array element or object key, e.g. `'chat.messages.*.content'`. Defaults to [].
+     */
+    paths?: string[];
+    /** Number of base64 characters of each `media_message` payload kept in events. Defaults to 32. */
+    mediaPreviewLength?: number;
+    /** Masks the token passed to `token_refresh_success`. Defaults to true. */
+    maskTokens?: boolean;
+}
+
+/** Options accepted by every request-issuing method. */
+export interface RequestOptions {
+    /** Cancels the request; the call then rejects with an `APIAbortError`. */
+    signal?: AbortSignal;
+}
+
+/** Payload of the `retry_attempt` event, emitted before each retry is sent. */
+export interface RetryAttemptEvent {
+    url: string;
+    /** The number of the attempt about to be made (2 for the first retry). */
+    attempt: number;
+    maxAttempts: number;
+    delayMs: number;
+    /** The HTTP status that caused the retry, if any. */
+    status?: number;
+    /** The network error that caused the retry, if any. */
+    error?: Error;
+}
+
+// --- CONTEXT WINDOW TYPES ---
+
+/** What a context strategy receives besides the messages. */
+export interface ContextStrategyContext {
+    /** The token budget the messages should fit in. */
+    maxTokens: number;
+    profile: string;
+    /** A tool-less copy of the session, for strategies that ask the model (e.g. to summarize). */
+    session: ChatSession;
+    signal?: AbortSignal;
+    estimateTokens: typeof estimateTokens;
+}
+
+/**
+ * Rewrites the messages about to be sent so they fit the context window. It must not modify
+ * the array it receives.
+ */
+export type ContextStrategy = (messages: ChatMessage[], context: ContextStrategyContext) => ChatMessage[] | Promise<ChatMessage[]>;
+
+/** The token budget for `ChatSession.withContextStrategy()`. */
+export interface ContextOptions {
+    /** The budget for the messages. Defaults to the profile's context window minus the reserve, system message and tools. */
+    maxTokens?: number;
+    /** Tokens kept free for the response. Defaults to the `length` parameter, or 4096. */
+    reserveTokens?: number;
+}
+
+/** Payload of the `context_trimmed` event, emitted when a context strategy shrinks a request. */
+export interface ContextTrimmedEvent {
+    profile: string;
+    messagesBefore: number;
+    messagesAfter: number;
+    tokensBefore: number;
+    tokensAfter: number;
+}
+
+/** Built-in history strategies. System messages are always kept and tool results stay with their calls. */
+export declare const ContextStrategies: {
+    /**
+     * Drops the oldest turns until the history fits the budget, cutting only before user messages
+     * and always keeping the first user message and the latest turn.
+     */
+    slidingWindow(): ContextStrategy;
+    /** Keeps the system messages and the last `count` other messages. */
+    keepSystemAndLastN(count: number): ContextStrategy;
+    /**
+     * Over budget, replaces all but the last `keepLast` (default 6) messages with a model-written
+     * summary, which is reused and extended on later requests.
+     */
+    summarize(options?: { keepLast?: number; prompt?: string; session?: ChatSession }): ContextStrategy;
+};
+
+
 // --- API CLASSES ---
 
 /**
@@ -155,7 +458,8 @@ export declare class ParameterBuilder {
     length(value: number): this;
     stopToken(value: string): this;
     seed(value: number): this;
-    asJson(): this;
+    /** Requests JSON output, optionally constrained by a JSON Schema. */
+    asJson(schema?: object): this;
     toolChoiceAuto(isEnabled?: boolean): this;
     toolChoiceRequired(isEnabled?: boolean): this;
     toolChoiceNone(isEnabled?: boolean): this;
@@ -169,6 +473,71 @@ export declare class ParameterBuilder {
     verbosity(level: string): this;
 }
 
+/** A decision about a tool call returned by an approval hook. `edit` runs the call with replacement arguments. */
+export type ToolCallDecision =
+    | { type: 'approve' }
+    | { type: 'reject'; reason?: string }
+    | { type: 'edit'; arguments: object | string };
+
+/**
+ * Reviews tool calls before `run()` executes them. Return an array with one decision per call,
+ * in order; `true` approves and `false` rejects. A missing decision makes the run throw.
+ */
+export type ToolApprovalHandler = (
+    calls: ToolCall[],
+    context: { messages: ChatMessage[] }
+) => Array<ToolCallDecision | boolean> | Promise<Array<ToolCallDecision | boolean>>;
+
+/** Options for `ChatSession.run()`. */
+export interface RunOptions {
+    /** The maximum number of model turns. Defaults to 5. */
+    maxIterations?: number;
+    signal?: AbortSignal;
+    autoContinue?: boolean | AutoContinueOptions;
+    choice?: number | ChoiceSelector;
+    /**
+     * Reviews calls to tools marked `requiresApproval` (or every call, if no tool is marked)
+     * before they execute. Rejected calls are reported back to the model as failed results.
+     */
+    onToolCalls?: ToolApprovalHandler;
+}
+
+/** Options for `ChatSession.generateObject()`. */
+export interface GenerateObjectOptions {
+    /**
+     * `json` passes the schema as the response format, `tool` forces a call to a synthetic tool
+     * whose parameters are the schema, `prompt` only describes the schema in the conversation.
+     * `auto` (the default) picks the first one the profile supports.
+     */
+    mode?: 'auto' | 'json' | 'tool' | 'prompt';
+    /** How many times the model is re-prompted with validation errors. Defaults to 2. */
+    maxRepairs?: number;
+    /** Name of the synthetic tool in `tool` mode. */
+    name?: string;
+    /** Description of the synthetic tool in `tool` mode. */
+    description?: string;
+    signal?: AbortSignal;
+}
+
+/** The result of `ChatSession.generateObject()`. */
+export interface GenerateObjectResult<T = any> {
+    /** The parsed object, valid against the schema. */
+    object: T;
+    /** The strategy that was used. */
+    mode: 'json' | 'tool' | 'prompt';
+    /** The number of requests made, including repairs. */
+    attempts: number;
+    /** The conversation of the successful attempt. */
+    messages: ChatMessage[];
+}
+
+/** An event yielded by `ChatSession.streamObject()`. */
+export type ObjectStreamEvent<T = any> =
+    /** The value parsed so far; fields may be missing or incomplete. */
+    | { type: 'partial'; object: any }
+    /** The final, complete (and, when a schema was given, validated) value. */
+    | { type: 'object'; object: T };
+
 /**
  * Represents a configured chat session for a specific model profile.
  */
@@ -176,28 +545,75 @@ export declare class ChatSession {
     withTools(tools: ToolDefinition[]): this;
     withSystemMessage(content: string): this;
     withParameters(builderFn: (builder: ParameterBuilder) => ParameterBuilder): this;
-    stream(initialInput: string | ChatMessage[]): AsyncIterable<StreamEvent>;
+    /**
+     * Applies a history strategy before every request of this session. Only requests are
+     * affected; histories returned by `step()`, `run()` and others stay complete. Requests fail
+     * if the computed token budget leaves no room for the history.
+     * @param strategy A strategy from `ContextStrategies` or a custom one; `null` removes it.
+     * @throws {Error} If the profile's context window is unknown and `maxTokens` is not given.
+     */
+    withContextStrategy(strategy: ContextStrategy | null, options?: ContextOptions): this;
+    /**
+     * Grounds every request in a vector index: the latest user message of the caller's input is
+     * embedded with the `embed` function (by default the index's) and the closest entries are
+     * inserted as a system message before it. Prompts the SDK adds itself are never used as the
+     * query. Retrieved entries are reported as citations in stream events and results.
+     * @param index The index to search; `null` turns retrieval off.
+     * @throws {Error} If neither `options` nor the index provide an `embed` function.
+     */
+    withRetrieval(index: VectorIndex | null, options?: RetrievalOptions): this;
+    stream(initialInput: string | ChatMessage[], options?: RequestOptions): AsyncGenerator<StreamEvent, StreamSummary>;
+
+    /**
+     * Sends the conversation and resolves with the complete, aggregated response.
+     * @param initialInput The user prompt or message history.
+     * @param options Request options, such as an AbortSignal.
+     */
+    complete(initialInput: string | ChatMessage[], options?: RequestOptions): Promise<CompletionResult>;
+
+    /**
+     * Generates a JSON value that conforms to a JSON Schema, validating it and re-prompting
+     * the model with the validation errors when it does not.
+     * @throws {SchemaValidationError} If no valid object was produced after all repairs.
+     */
+    generateObject<T = any>(initialInput: string | ChatMessage[], schema: object, options?: GenerateObjectOptions): Promise<GenerateObjectResult<T>>;
+
+    /**
+     * Streams a JSON response as progressively more complete partial objects, followed by the
+     * final object. `maxRepairs` is ignored: a final object that fails validation throws.
+     * @throws {SchemaValidationError} If the final object is not valid JSON or does not match the schema.
+     */
+    streamObject<T = any>(initialInput: string | ChatMessage[], schema?: object, options?: GenerateObjectOptions): AsyncGenerator<ObjectStreamEvent<T>, T>;
 
     /**
      * Executes a single turn of the agentic loop, yielding control when tools are requested.
      * @param messages The current conversation history.
      * @param options Options for this step, like forcing a text response.
      * @returns An async generator that yields tool requests and returns a final text response.
+     * Results passed back to it are matched to calls by `id`; unanswered calls are recorded as not executed.
+     * A `choice` index that is not in the response throws a RangeError.
      */
     step(
         messages: ChatMessage[],
-        options?: { forceTextResponse?: boolean }
+        options?: { forceTextResponse?: boolean; signal?: AbortSignal; autoContinue?: boolean | AutoContinueOptions; choice?: number | ChoiceSelector }
     ): AsyncGenerator<AgentToolRequest, AgentTextResponse, ToolExecutionResult[]>;
 
     /**
      * Runs the agentic loop automatically until a final text response is generated.
      * @param initialInput The initial user prompt or message history.
-     * @param options Configuration for the run, such as `maxIterations`.
+     * @param options Configuration for the run, such as `maxIterations` or an `onToolCalls` approval hook.
+     * @throws {Error} If a tool is marked `requiresApproval` and no `onToolCalls` handler is given,
+     * or if the handler does not return a decision for every call.
      */
-    run(
-        initialInput: string | ChatMessage[],
-        options?: { maxIterations?: number }
-    ): Promise<string>;
+    run(initialInput: string | ChatMessage[], options?: RunOptions): Promise<string>;
+
+    /**
+     * Runs the agentic loop like `run()` and returns the final text together with the full
+     * transcript, every tool invocation, the number of turns, why the loop stopped and quota data.
+     * @throws {Error} If a tool is marked `requiresApproval` and no `onToolCalls` handler is given,
+     * or if the handler does not return a decision for every call.
+     */
+    runDetailed(initialInput: string | ChatMessage[], options?: RunOptions): Promise<RunResult>;
 }
 
 /**
@@ -205,21 +621,104 @@ export declare class ChatSession {
  */
 export declare class TaskAPI {
     /** Retrieves the list of available task IDs. */
-    roster(): Promise<TaskRosterResult>;
+    roster(options?: RequestOptions): Promise<TaskRosterResult>;
 
     /**
      * Executes a task and returns the response as a stream of events.
      * @param id The ID of the task to execute (e.g., 'code-generate:default').
      * @param parameters An object containing the parameters for the task.
+     * @param options Request options, such as an AbortSignal.
      */
-    stream(id: string, parameters: object): AsyncIterable<TaskStreamEvent>;
+    stream(id: string, parameters: object, options?: RequestOptions): AsyncIterable<TaskStreamEvent>;
 
     /**
      * Executes a task and returns the aggregated result once complete.
      * @param id The ID of the task to execute.
      * @param parameters An object containing the parameters for the task.
+     * @param options Request options, such as an AbortSignal.
      */
-    execute(id: string, parameters: object): Promise<TaskResult>;
+    execute(id: string, parameters: object, options?: RequestOptions): Promise<TaskResult>;
+}
+
+// --- RETRIEVAL TYPES ---
+
+/**
+ * Computes one vector per text, in order, with any embedding model. The SDK calls it with
+ * the texts given to `VectorIndex.addTexts()` and with retrieval queries.
+ */
+export type EmbedFunction = (texts: string[], options: { signal?: AbortSignal }) => Promise<ArrayLike<number>[]>;
+
+/** An entry of a `VectorIndex`. */
+export interface VectorIndexEntry {
+    id: string;
+    vector: ArrayLike<number>;
+    /** The text the vector was computed from; it is what retrieval inserts into requests. */
+    text?: string;
+    metadata?: Record<string, any>;
+}
+
+export interface VectorSearchOptions {
+    /** How many matches to return. Defaults to 4. */
+    topK?: number;
+    /**
+     * Metadata values every match must have (an array value matches any of its elements),
+     * or a predicate receiving each entry's metadata.
+     */
+    filter?: Record<string, any> | ((metadata: Record<string, any>, entry: VectorIndexEntry) => boolean);
+    /** The lowest cosine similarity to accept. */
+    minScore?: number;
+}
+
+export interface VectorSearchResult {
+    id: string;
+    /** Cosine similarity to the query, from -1 to 1. */
+    score: number;
+    text: string | null;
+    metadata: Record<string, any>;
+}
+
+/** A retrieved index entry, with the number the model was asked to cite it by. */
+export interface Citation extends VectorSearchResult {
+    number: number;
+}
+
+/** Options for `ChatSession.withRetrieval()`. */
+export interface RetrievalOptions extends VectorSearchOptions {
+    /** Embeds retrieval queries. Defaults to the index's `embed` function. */
+    embed?: EmbedFunction;
+    /** Builds the system message from the retrieved entries. */
+    format?: (citations: Citation[]) => string;
+}
+
+/**
+ * A small in-memory vector index with cosine similarity search and metadata filters,
+ * which can be saved to and loaded from JSON files.
+ */
+export declare class VectorIndex {
+    /**
+     * @param options `embed` computes the vectors of texts; it is required by `addTexts()`
+     * and is the default of `withRetrieval()`.
+     */
+    constructor(options?: { embed?: EmbedFunction });
+    readonly embed: EmbedFunction | null;
+    /** The vector length, fixed by the first entry. */
+    readonly dimensions: number | null;
+    readonly size: number;
+    /** Adds entries with precomputed, non-empty vectors, replacing entries with the same ids. */
+    add(entries: VectorIndexEntry[]): this;
+    /**
+     * Embeds texts with the index's `embed` function, in a single call, and adds them.
+     * Items without an id get an unused numeric id.
+     * @throws {Error} If the index has no `embed` function, or it returns one vector too many or too few.
+     */
+    addTexts(items: Array<{ id?: string; text: string; metadata?: Record<string, any> }>, options?: { signal?: AbortSignal }): Promise<this>;
+    remove(id: string): boolean;
+    /** Returns the closest entries by cosine similarity, best first. */
+    search(vector: ArrayLike<number>, options?: VectorSearchOptions): VectorSearchResult[];
+    toJSON(): { dimensions: number | null; entries: Array<{ id: string; vector: number[]; text: string | null; metadata: Record<string, any> }> };
+    static fromJSON(data: string | object, options?: { embed?: EmbedFunction }): VectorIndex;
+    save(path: string): Promise<void>;
+    static load(path: string, options?: { embed?: EmbedFunction }): Promise<VectorIndex>;
 }
 
 /**
@@ -227,9 +726,35 @@ export declare class TaskAPI {
  */
 export declare class MerciClient extends EventEmitter {
     constructor(options: {
-        token: string;
+        /** The JWT. Optional when `credentials` is given or GRAZIE_JWT_TOKEN is set. */
+        token?: string;
+        /** A provider that supplies the token and persists refreshed tokens. */
+        credentials?: CredentialsProvider;
+        /**
+         * How long before the JWT's `exp` claim the token is refreshed proactively. Defaults to 60000.
+         * Concurrent requests always share a single in-flight refresh.
+         */
+        tokenRefreshLeewayMs?: number;
         authType?: 'user' | 'service' | 'application';
         endpoint?: string;
+        /** Retry policy for transient failures, or `false` to disable retries. */
+        retry?: RetryOptions | false;
+        /** Default timeouts applied to every request. */
+        timeout?: TimeoutOptions;
+        /**
+         * A fetch implementation used for every request, including token refreshes.
+         * Use it to route traffic through a proxy, tune an undici `Agent`, or inject a stub in tests.
+         * Defaults to the global `fetch`.
+         */
+        fetch?: typeof fetch;
+        /** Headers sent with every request. They cannot override the authentication header. */
+        headers?: Record<string, string>;
+        /** Records responses to, or replays them from, a fixture file. */
+        cassette?: CassetteOptions;
+        /** Redaction applied to `api_request` and `token_refresh_success` payloads. */
+        redact?: RedactionOptions;
+        /** Disables all event redaction. Intended for local debugging only. */
+        unsafeRawEvents?: boolean;
     });
 
     /** Access the Chat API. */
@@ -241,15 +766,66 @@ export declare class MerciClient extends EventEmitter {
     // --- Event Emitter Overloads ---
     on(event: 'api_request', listener: (payload: { url: string; method?: string; body?: string }) => void): this;
     on(event: 'api_response', listener: (payload: { url: string; status: number; ok: boolean }) => void): this;
+    on(event: 'retry_attempt', listener: (payload: RetryAttemptEvent) => void): this;
+    on(event: 'credentials_warning', listener: (payload: { message: string; error: Error }) => void): this;
     on(event: 'token_refresh_start', listener: () => void): this;
+    /** Receives a masked token unless `unsafeRawEvents` is set; use `credentials` to persist tokens. */
     on(event: 'token_refresh_success', listener: (newToken: string) => void): this;
     on(event: 'error', listener: (error: APIError) => void): this;
     on(event: 'tool_start', listener: (payload: { calls: ToolCall[] }) => void): this;
     on(event: 'tool_finish', listener: (payload: { results: ToolExecutionResult[] }) => void): this;
+    on(event: 'context_trimmed', listener: (payload: ContextTrimmedEvent) => void): this;
+    on(event: 'response_continuation', listener: (payload: { continuation: number; maxContinuations: number }) => void): this;
     on(event: 'tool_warning', listener: (payload: { message: string }) => void): this;
     on(event: 'parameter_warning', listener: (warning: { parameter: string; profile: string; message: string }) => void): this;
 }
 
+/**
+ * A credentials provider backed by a JSON file, an ES module exporting `token`, or a plain-text file.
+ * Refreshed tokens are written atomically in the file's original format.
+ */
+export declare class FileCredentials implements CredentialsProvider {
+    constructor(path: string);
+    getToken(): Promise<string>;
+    onRefreshed(token: string): Promise<void>;
+}
+
+/** A credentials provider backed by an environment variable (GRAZIE_JWT_TOKEN by default). */
+export declare class EnvCredentials implements CredentialsProvider {
+    constructor(variable?: string);
+    getToken(): string | undefined;
+    onRefreshed(token: string): void;
+}
+
+/**
+ * A multi-turn conversation on top of a `ChatSession`, with managed history and optional
+ * JSONL persistence (one message per line). Calls that change the history run in order.
+ */
+export declare class Conversation {
+    constructor(session: ChatSession, options?: { messages?: ChatMessage[] });
+    /** Opens a conversation persisted in a JSONL file; the file is created on the first write. */
+    static open(session: ChatSession, path: string): Promise<Conversation>;
+    /** Restores a conversation from the output of `toJSON()`, given as an object or a JSON string. */
+    static fromJSON(session: ChatSession, data: string | { messages: ChatMessage[] }): Conversation;
+    /** A copy of the message history. */
+    readonly history: ChatMessage[];
+    /** The JSONL file the conversation is persisted to, if any. */
+    readonly path: string | null;
+    /**
+     * Sends a user message through `ChatSession.runDetailed()` and records the reply, including
+     * any tool calls and results. The history is left unchanged if the request fails.
+     * @returns The model's final text response.
+     */
+    send(input: string | ChatMessage | ChatMessage[], options?: RunOptions): Promise<string>;
+    /** Removes the latest user input and everything after it, returning the removed messages. */
+    undo(): Promise<ChatMessage[]>;
+    /** Creates an independent, unpersisted copy of the conversation on the same session. */
+    fork(): Conversation;
+    /** Writes the full history to a JSONL file and persists all later changes there. */
+    save(path?: string): Promise<void>;
+    toJSON(): { messages: ChatMessage[] };
+}
+
 /**
  * Provides access to the chat functionalities.
  */
@@ -262,6 +838,30 @@ export declare class ChatAPI {
 }
 
 
+/** A single event dispatched by the Server-Sent Events decoder. */
+export interface SSEMessage {
+    /** The event type; `'message'` when the server did not send an `event:` field. */
+    event: string;
+    /** The event payload; multiple `data:` lines are joined with `\n`. */
+    data: string;
+    /** The last event ID seen on the stream. */
+    id: string;
+    /** The reconnection time requested by the server, if any. */
+    retry: number | null;
+}
+
+/**
+ * An incremental, spec-compliant Server-Sent Events decoder used by the chat and task streams.
+ * Chunks may be split at arbitrary positions.
+ */
+export declare class SSEDecoder {
+    /** Feeds the next decoded text chunk and returns the events it completes. */
+    push(chunk: string): SSEMessage[];
+    /** Flushes a trailing event that was not terminated by a blank line. */
+    end(): SSEMessage[];
+}
+
+
 // --- ERRORS ---
 
 /** Custom error class for API-related issues. */
@@ -277,6 +877,35 @@ export declare class APIStatusError extends APIError {}
 /** Custom error for Server-Sent Events (SSE) stream parsing issues. */
 export declare class SSEError extends APIError {}
 
+/** Raised when model output does not conform to the requested JSON Schema. */
+export declare class SchemaValidationError extends APIError {
+    constructor(message: string, errors: string[], output: string);
+    /** One message per violation, prefixed with the JSON path (e.g. `$.items[0].name`). */
+    public readonly errors: string[];
+    /** The raw output of the last attempt. */
+    public readonly output: string;
+}
+
+/** Raised in cassette replay mode when no recorded interaction matches a request. */
+export declare class CassetteError extends APIError {
+    constructor(message: string, details?: any);
+}
+
+/** Raised when a request exceeds one of the client's configured timeouts. */
+export declare class APITimeoutError extends APIError {
+    constructor(message: string, phase: 'first_byte' | 'total', timeoutMs: number);
+    /** Which timeout elapsed: waiting for response headers, or the request as a whole. */
+    public readonly phase: 'first_byte' | 'total';
+    public readonly timeoutMs: number;
+}
+
+/** Raised when a request is cancelled through its AbortSignal. */
+export declare class APIAbortError extends APIError {
+    constructor(message: string, reason?: any);
+    /** The `reason` of the AbortSignal that cancelled the request. */
+    public readonly reason?: any;
+}
+
 
 // --- HELPER FUNCTIONS ---
 
@@ -286,4 +915,21 @@ export declare function createAssistantTextMessage(content: string): AssistantTe
 export declare function createAssistantToolCallMessage(id: string, toolName: string, content: string): AssistantToolCallMessage;
 export declare function createToolResultMessage(id: string, toolName: string, result: string): ToolResultMessage;
 export declare function createMediaMessage(source: string | Buffer, explicitMimeType?: string): Promise<MediaMessage>;
-export declare function executeTools(toolCalls: ToolCall[], toolLibrary: ToolDefinition[]): Promise<ToolExecutionResult[]>;
\ No newline at end of file
+/**
+ * Parses incomplete JSON, closing open strings and containers. A trailing key without a value,
+ * a trailing number (it may still be growing) and an unfinished literal are dropped, so
+ * `'{"n": 12'` parses to `{}`. Returns `undefined` when nothing can be recovered.
+ */
+export declare function parsePartialJson(text: string): any;
+/** Estimates tokens locally (about four characters per token); good enough for budgeting, not billing. */
+export declare function estimateTokens(input: string | ChatMessage | ChatMessage[]): number;
+/** Returns the context window of a model profile in tokens, if it is known. */
+export declare function getContextWindow(profile: string): number | undefined;
+/** Validates a value against a JSON Schema, returning one message per violation (an invalid `pattern` counts as one). */
+export declare function validateJsonSchema(value: any, schema: object): { valid: boolean; errors: string[] };
+/**
+ * Executes tool calls, in parallel unless a tool's `maxConcurrency` or `sequential` policy says
+ * otherwise, honoring each tool's `timeoutMs` and `retries`. Arguments are validated against the
+ * tool's `parameters` schema, with defaults applied; invalid calls are not executed and report `validationErrors`.
+ */
+export declare function executeTools(toolCalls: ToolCall[], toolLibrary: ToolDefinition[], options?: { signal?: AbortSignal }): Promise<ToolExecutionResult[]>;
\ No newline at end of file
@@ -10,6 +10,32 @@
  * Node.js environments.
  *
  * CHANGELOG:
+ * - Unreleased:
+ *   - Added a configurable retry policy (`retry`) with exponential backoff for network errors and 408, 429 and 5xx responses, and a `retry_attempt` event.
+ *   - Added `AbortSignal` cancellation (`signal`) to every request method and client-level timeouts (`timeout`), reported as `APIAbortError` and `APITimeoutError`.
+ *   - Added the `fetch` and `headers` client options for a custom `fetch` implementation and headers sent with every request.
+ *   - Chat and task streams now share a spec-compliant Server-Sent Events decoder (`SSEDecoder`).
+ *   - Added record-and-replay cassettes (`cassette`) for running against recorded responses offline.
+ *   - Added `MockMerciServer`, a local emulation of the gateway's chat, task and auth endpoints for tests, shipped separately in `merci.mock.mjs` so applications do not load `node:http`.
+ *   - Added pluggable credentials providers (`credentials`, `FileCredentials`, `EnvCredentials`) that also persist refreshed tokens, and a `credentials_warning` event.
+ *   - JWTs are now refreshed shortly before they expire (`tokenRefreshLeewayMs`), and concurrent requests share a single refresh.
+ *   - Tokens and media payloads are now redacted from emitted events by default (`redact`, `unsafeRawEvents`).
+ *   - Added `ChatSession.complete()`, which returns the whole response as one object; `stream()` now returns a summary of the stream when it ends.
+ *   - Added `finish` stream events and the `autoContinue` option, which resumes responses cut off by the `length` parameter.
+ *   - Added incremental `tool_call_start`, `tool_call_delta` and `tool_call_end` stream events with partially parsed arguments, and `parsePartialJson()`.
+ *   - Stream events now carry a `choiceIndex`, `complete()` returns every choice, and `step()` and `run()` take a `choice` option.
+ *   - Added `ChatSession.generateObject()`, which validates the output against a JSON Schema (`validateJsonSchema()`) and asks the model to repair invalid output, and `SchemaValidationError`.
+ *   - Added `ChatSession.streamObject()`, which yields partial objects while the JSON is streamed.
+ *   - Tool call arguments are now validated against the tool's parameters schema before `execute` runs; invalid calls are reported back to the model.
+ *   - Added per-tool `timeoutMs`, `retries`, `maxConcurrency` and `sequential` policies; `execute` now receives an `AbortSignal`.
+ *   - Added an `onToolCalls` approval hook to `run()` that can approve, reject or edit tool calls, and the `requiresApproval` tool flag.
+ *   - Added `ChatSession.runDetailed()`, which returns the transcript, the tool invocations, the iteration count and why the run stopped.
+ *   - `step()` now matches tool results to calls by `id` and records calls left unanswered as not executed.
+ *   - Text the model sends alongside tool calls is now kept in the history, and `run()` ends on the first turn without tool calls.
+ *   - BREAKING: After a turn that called tools, the `content` returned by `step()` is now `''`; text the model wrote alongside the tool calls is returned as `commentary` (and kept in `messages`), and `usedTools` tells the two cases apart. Callers that read `content` after tool turns should read `commentary` instead.
+ *   - Added the `Conversation` class, which manages a session's history and can persist it to a JSONL file.
+ *   - Added context-window management: `ChatSession.withContextStrategy()`, the built-in `ContextStrategies`, `estimateTokens()`, `getContextWindow()` and a `context_trimmed` event.
+ *   - Added `VectorIndex` and `ChatSession.withRetrieval()`, which grounds requests in indexed texts and reports the entries used as citations. Vectors come from an `embed` function supplied by the caller.
  * - v2.14.0: Introduced a "glass-box" agentic workflow with a new `ChatSession.step()` async generator for fine-grained control over the tool-use loop. Refactored `run()` to use this new primitive and made `maxIterations` configurable.
  * - v2.13.0: Added the Task API for executing predefined, server-side tasks.
  * - v2.12.2: Patched a bug in the InternalHttpClient where the token refresh URL was being constructed incorrectly, causing a 404 error.
@@ -23,6 +49,7 @@ import { TextDecoderStream } from 'node:stream/web';
 import { promises as fs } from 'node:fs';
 import { extname } from 'node:path';
 import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
 
 
 // ==================================================================================
@@ -39,6 +66,38 @@ const GatewayEndpoint = {
     PRODUCTION: 'https://api.jetbrains.ai',
 };
 
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    jitter: true,
+    respectRetryAfter: true,
+    retryableStatuses: [408, 429, 500, 502, 503, 504],
+};
+
+const DEFAULT_TIMEOUTS = {
+    firstByteMs: 60000,
+    totalMs: 0,
+};
+
+const DEFAULT_TOKEN_REFRESH_LEEWAY_MS = 60000;
+
+const DEFAULT_AUTO_CONTINUE = {
+    maxContinuations: 3,
+    prompt: 'Your previous response was cut off. Continue exactly where you stopped, without repeating anything.',
+};
+
+const DEFAULT_CONTEXT_RESERVE_TOKENS = 4096;
+const DEFAULT_SUMMARY_PROMPT = 'Summarize the conversation so far in a few paragraphs. Keep every fact, decision, open question and tool result that later turns may need.';
+// Rough averages used by `estimateTokens()`.
+const TOKEN_ESTIMATE = { charsPerToken: 4, perMessage: 4, perMedia: 1000 };
+
+const DEFAULT_REDACTION = {
+    paths: [],
+    mediaPreviewLength: 32,
+    maskTokens: true,
+};
+
 const LLMParameters = {
     TEMPERATURE: { fqdn: 'llm.parameters.temperature', type: 'double' },
     TOP_P: { fqdn: 'llm.parameters.top-p', type: 'double' },
@@ -75,44 +134,45 @@ const paramGroups = {
     GOOGLE_GEMINI_2_5_FLASH: ['RESPONSE_FORMAT', 'TEMPERATURE', 'LENGTH', 'TOP_P', 'THINKING_BUDGET'].map(k => LLMParameters[k].fqdn),
 };
 
+// `contextWindow` is the model's context size in tokens, where known.
 const modelProfiles = {
-    'openai-chat-gpt': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt-4': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt-4-turbo': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn]) },
-    'openai-gpt-4o': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn, LLMParameters.PREDICTED_OUTPUT.fqdn]) },
-    'openai-gpt-4o-mini': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn, LLMParameters.PREDICTED_OUTPUT.fqdn]) },
-    'openai-o1': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
-    'openai-o1-mini': { provider: 'OpenAI', params: new Set(['LENGTH', 'SEED', 'NUMBER_OF_CHOICES'].map(k => LLMParameters[k].fqdn)) },
-    'openai-o3': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
-    'openai-o3-mini': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
-    'openai-o4-mini': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt4.1': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt4.1-mini': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt4.1-nano': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt-5': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt-5-mini': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
-    'openai-gpt-5-nano': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
+    'openai-chat-gpt': { provider: 'OpenAI', contextWindow: 16385, params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt-4': { provider: 'OpenAI', contextWindow: 8192, params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt-4-turbo': { provider: 'OpenAI', contextWindow: 128000, params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn]) },
+    'openai-gpt-4o': { provider: 'OpenAI', contextWindow: 128000, params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn, LLMParameters.PREDICTED_OUTPUT.fqdn]) },
+    'openai-gpt-4o-mini': { provider: 'OpenAI', contextWindow: 128000, params: new Set([...paramGroups.OPENAI_GPT3_4, ...paramGroups.COMMON_TOOLS, LLMParameters.RESPONSE_FORMAT.fqdn, LLMParameters.PREDICTED_OUTPUT.fqdn]) },
+    'openai-o1': { provider: 'OpenAI', contextWindow: 200000, params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
+    'openai-o1-mini': { provider: 'OpenAI', contextWindow: 128000, params: new Set(['LENGTH', 'SEED', 'NUMBER_OF_CHOICES'].map(k => LLMParameters[k].fqdn)) },
+    'openai-o3': { provider: 'OpenAI', contextWindow: 200000, params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
+    'openai-o3-mini': { provider: 'OpenAI', contextWindow: 200000, params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
+    'openai-o4-mini': { provider: 'OpenAI', contextWindow: 200000, params: new Set([...paramGroups.OPENAI_O_SERIES, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt4.1': { provider: 'OpenAI', contextWindow: 1047576, params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt4.1-mini': { provider: 'OpenAI', contextWindow: 1047576, params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt4.1-nano': { provider: 'OpenAI', contextWindow: 1047576, params: new Set([...paramGroups.OPENAI_GPT4_1, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt-5': { provider: 'OpenAI', contextWindow: 400000, params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt-5-mini': { provider: 'OpenAI', contextWindow: 400000, params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
+    'openai-gpt-5-nano': { provider: 'OpenAI', contextWindow: 400000, params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
     'Grazie_model_1': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
     'Grazie_model_2': { provider: 'OpenAI', params: new Set([...paramGroups.OPENAI_GPT5, ...paramGroups.COMMON_TOOLS]) },
-    'openai-instruct-gpt': { provider: 'OpenAI', params: new Set([LLMParameters.TEMPERATURE.fqdn]) },
-    'openai-embedding-ada': { provider: 'OpenAI', params: new Set() },
-    'openai-embedding-small': { provider: 'OpenAI', params: new Set() },
-    'openai-embedding-large': { provider: 'OpenAI', params: new Set() },
-    'anthropic-claude-3-haiku': { provider: 'Anthropic', params: new Set(paramGroups.ANTHROPIC_CLAUDE3) },
-    'anthropic-claude-3-opus': { provider: 'Anthropic', params: new Set(paramGroups.ANTHROPIC_CLAUDE3) },
-    'anthropic-claude-3.5-haiku': { provider: 'Anthropic', params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
-    'anthropic-claude-3.5-sonnet': { provider: 'Anthropic', params: new Set(['TEMPERATURE', 'TOP_P', 'STOP_TOKEN', 'LENGTH', 'PARALLEL_TOOL_CALLS'].map(k => LLMParameters[k].fqdn).concat(paramGroups.COMMON_TOOLS)) },
-    'anthropic-claude-3.7-sonnet': { provider: 'Anthropic', params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
-    'anthropic-claude-4-sonnet': { provider: 'Anthropic', params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
-    'anthropic-claude-4-opus': { provider: 'Anthropic', params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
-    'anthropic-claude-4.1-opus': { provider: 'Anthropic', params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-pro-1.5': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-flash-1.5': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-flash-2.0': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-flash-lite-2.0': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-pro-2.5': { provider: 'Google', params: new Set(paramGroups.GOOGLE_GEMINI_2_5_PRO) },
-    'google-chat-gemini-flash-2.5': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
-    'google-chat-gemini-flash-lite-2.5': { provider: 'Google', params: new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
+    'openai-instruct-gpt': { provider: 'OpenAI', contextWindow: 4096, params: new Set([LLMParameters.TEMPERATURE.fqdn]) },
+    'openai-embedding-ada': { provider: 'OpenAI', contextWindow: 8191, params: new Set() },
+    'openai-embedding-small': { provider: 'OpenAI', contextWindow: 8191, params: new Set() },
+    'openai-embedding-large': { provider: 'OpenAI', contextWindow: 8191, params: new Set() },
+    'anthropic-claude-3-haiku': { provider: 'Anthropic', contextWindow: 200000, params: new Set(paramGroups.ANTHROPIC_CLAUDE3) },
+    'anthropic-claude-3-opus': { provider: 'Anthropic', contextWindow: 200000, params: new Set(paramGroups.ANTHROPIC_CLAUDE3) },
+    'anthropic-claude-3.5-haiku': { provider: 'Anthropic', contextWindow: 200000, params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
+    'anthropic-claude-3.5-sonnet': { provider: 'Anthropic', contextWindow: 200000, params: new Set(['TEMPERATURE', 'TOP_P', 'STOP_TOKEN', 'LENGTH', 'PARALLEL_TOOL_CALLS'].map(k => LLMParameters[k].fqdn).concat(paramGroups.COMMON_TOOLS)) },
+    'anthropic-claude-3.7-sonnet': { provider: 'Anthropic', contextWindow: 200000, params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
+    'anthropic-claude-4-sonnet': { provider: 'Anthropic', contextWindow: 200000, params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
+    'anthropic-claude-4-opus': { provider: 'Anthropic', contextWindow: 200000, params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
+    'anthropic-claude-4.1-opus': { provider: 'Anthropic', contextWindow: 200000, params: new Set([...paramGroups.ANTHROPIC_CLAUDE_PLUS, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-pro-1.5': { provider: 'Google', contextWindow: 2097152, params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-flash-1.5': { provider: 'Google', contextWindow: 1048576, params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-flash-2.0': { provider: 'Google', contextWindow: 1048576, params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-flash-lite-2.0': { provider: 'Google', contextWindow: 1048576, params: new Set([...paramGroups.GOOGLE_GEMINI_1_5_PRO, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-pro-2.5': { provider: 'Google', contextWindow: 1048576, params: new Set(paramGroups.GOOGLE_GEMINI_2_5_PRO) },
+    'google-chat-gemini-flash-2.5': { provider: 'Google', contextWindow: 1048576, params: new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
+    'google-chat-gemini-flash-lite-2.5': { provider: 'Google', contextWindow: 1048576, params: new Set([...paramGroups.GOOGLE_GEMINI_2_5_FLASH, ...paramGroups.COMMON_TOOLS]) },
 };
 
 
@@ -140,6 +200,35 @@ export class SSEError extends APIError {
         this.name = 'SSEError';
     }
 }
+export class APITimeoutError extends APIError {
+    constructor(message, phase, timeoutMs) {
+        super(message, undefined, { phase, timeoutMs });
+        this.name = 'APITimeoutError';
+        this.phase = phase;
+        this.timeoutMs = timeoutMs;
+    }
+}
+export class APIAbortError extends APIError {
+    constructor(message, reason) {
+        super(message, undefined, { reason });
+        this.name = 'APIAbortError';
+        this.reason = reason;
+    }
+}
+export class SchemaValidationError extends APIError {
+    constructor(message, errors, output) {
+        super(message, undefined, { errors, output });
+        this.name = 'SchemaValidationError';
+        this.errors = errors;
+        this.output = output;
+    }
+}
+export class CassetteError extends APIError {
+    constructor(message, details) {
+        super(message, undefined, details);
+        this.name = 'CassetteError';
+    }
+}
 
 
 // ==================================================================================
@@ -177,22 +266,575 @@ export async function createMediaMessage(source, explicitMimeType) {
     return { type: 'media_message', mediaType: mediaType, data: data.toString('base64') };
 }
 
-export async function executeTools(toolCalls, toolLibrary) {
+/**
+ * Executes the requested tool calls. Calls run in parallel unless their tool sets
+ * `maxConcurrency` (at most that many of its calls at once) or `sequential` (the call runs on
+ * its own, after every earlier call has finished and before any later call starts).
+ * Arguments are parsed and validated against each tool's `parameters` schema (schema defaults
+ * are applied first); a call with invalid arguments is not executed and instead fails with the
+ * list of `validationErrors`, which `step()` passes back to the model so it can correct itself.
+ * A tool's `timeoutMs` bounds each attempt and `retries` re-runs a call that threw or timed out.
+ * @param {ToolCall[]} toolCalls - The calls requested by the model.
+ * @param {ToolDefinition[]} toolLibrary - The tools available for execution.
+ * @param {{ signal?: AbortSignal }} [options={}] - An optional signal that cancels pending and running calls.
+ * @returns {Promise<ToolExecutionResult[]>} One result per call, in the same order.
+ */
+export async function executeTools(toolCalls, toolLibrary, options = {}) {
     const toolMap = new Map(toolLibrary.map(t => [t.name, t]));
-    const executionPromises = toolCalls.map(async (call) => {
+    const limiters = new Map();
+    const results = new Array(toolCalls.length);
+    let inFlight = [];
+    for (const [index, call] of toolCalls.entries()) {
         const tool = toolMap.get(call.name);
-        if (!tool?.execute) {
-            return { name: call.name, success: false, error: `Tool '${call.name}' not found.` };
+        if (tool?.sequential) {
+            await Promise.all(inFlight);
+            inFlight = [];
+            results[index] = { id: call.id, ...await executeToolCall(call, tool, options.signal) };
+            continue;
+        }
+        let task = () => executeToolCall(call, tool, options.signal);
+        if (tool?.maxConcurrency > 0) {
+            if (!limiters.has(tool.name)) limiters.set(tool.name, createLimiter(tool.maxConcurrency));
+            const limit = limiters.get(tool.name);
+            const run = task;
+            task = () => limit(run);
         }
+        inFlight.push(task().then(result => { results[index] = { id: call.id, ...result }; }));
+    }
+    await Promise.all(inFlight);
+    return results;
+}
+
+async function executeToolCall(call, tool, signal) {
+    if (!tool?.execute) {
+        return { name: call.name, success: false, error: `Tool '${call.name}' not found.` };
+    }
+    let args;
+    try {
+        args = JSON.parse(call.arguments || '{}');
+    } catch (e) {
+        return { name: call.name, success: false, error: `The arguments for tool '${call.name}' are not valid JSON.`, validationErrors: [`$: ${e.message}`] };
+    }
+    const schema = tool.parameters?.schema ?? tool.parameters;
+    if (schema && typeof schema === 'object') {
+        args = applySchemaDefaults(args, schema);
+        const { errors } = validateJsonSchema(args, schema);
+        if (errors.length > 0) {
+            return { name: call.name, success: false, error: `The arguments for tool '${call.name}' do not match its parameters schema.`, validationErrors: errors };
+        }
+    }
+    const maxAttempts = 1 + Math.max(0, Math.floor(tool.retries ?? 0));
+    let error;
+    for (let attempt = 1; attempt <= maxAttempts && !signal?.aborted; attempt++) {
         try {
-            const args = JSON.parse(call.arguments || '{}');
-            const result = await tool.execute(args);
+            const result = await invokeTool(tool, args, signal);
             return { name: call.name, success: true, result };
         } catch (e) {
-            return { name: call.name, success: false, error: e.message };
+            error = e;
+        }
+    }
+    return { name: call.name, success: false, error: (error ?? signal?.reason)?.message ?? `Tool '${call.name}' was aborted.` };
+}
+
+/** Runs a tool once, rejecting if it exceeds the tool's `timeoutMs` or the signal aborts. */
+async function invokeTool(tool, args, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = tool.timeoutMs > 0
+        ? setTimeout(() => controller.abort(new Error(`Tool '${tool.name}' timed out after ${tool.timeoutMs} ms.`)), tool.timeoutMs)
+        : null;
+    const aborted = new Promise((_, reject) => {
+        if (controller.signal.aborted) reject(controller.signal.reason);
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    try {
+        return await Promise.race([Promise.resolve().then(() => tool.execute(args, { signal: controller.signal })), aborted]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/** Returns a function that runs async tasks with at most `maxConcurrency` of them active at once. */
+function createLimiter(maxConcurrency) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= maxConcurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => { active--; next(); });
+    };
+    return task => new Promise((resolve, reject) => { queue.push({ task, resolve, reject }); next(); });
+}
+
+/**
+ * Parses a possibly incomplete JSON document, such as tool call arguments that are still
+ * streaming. Open strings, arrays and objects are closed; a trailing key without a value, a
+ * trailing number (it may still be growing) and an unfinished literal are dropped, so
+ * `'{"n": 12'` parses to `{}`. Returns `undefined` if nothing can be recovered.
+ * @param {string} text - The JSON text received so far.
+ * @returns {any} The best-effort parsed value.
+ */
+export function parsePartialJson(text) {
+    if (typeof text !== 'string' || !text.trim()) return undefined;
+    try { return JSON.parse(text); } catch { /* repair below */ }
+
+    const stack = [];
+    let inString = false, isKey = false, escaped = false, lastSignificant = '';
+    // The longest prefix known to form valid JSON once the open containers are closed.
+    let safe = null;
+    const closers = () => stack.map(c => (c === '{' ? '}' : ']')).reverse().join('');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') {
+                inString = false;
+                lastSignificant = '"';
+                if (!isKey) safe = { end: i + 1, closers: closers() };
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+            isKey = stack.at(-1) === '{' && (lastSignificant === '{' || lastSignificant === ',');
+        } else if (char === '{' || char === '[') {
+            stack.push(char);
+            safe = { end: i + 1, closers: closers() };
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+            safe = { end: i + 1, closers: closers() };
+        } else if (char === ',') {
+            safe = { end: i, closers: closers() };
+        }
+        if (!/\s/.test(char)) lastSignificant = char;
+    }
+
+    const candidates = [];
+    // A number or literal at the very end may still grow (`12` -> `123`), so it only counts once
+    // a delimiter follows it; `true`, `false` and `null` cannot grow and are kept.
+    const trailingToken = inString ? null : text.match(/[^\s,:[\]{}"]+$/)?.[0];
+    if (inString) candidates.push(text.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '') + '"' + closers());
+    else if (!trailingToken || ['true', 'false', 'null'].includes(trailingToken)) candidates.push(text + closers());
+    if (safe) candidates.push(text.slice(0, safe.end) + safe.closers);
+    for (const candidate of candidates) {
+        try { return JSON.parse(candidate); } catch { /* try the next candidate */ }
+    }
+    return undefined;
+}
+
+/**
+ * Validates a value against a JSON Schema. Supports the keywords models are typically given:
+ * `type` (including `integer` and type arrays), `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`/`maxItems`, `minLength`/`maxLength`, `pattern`,
+ * `minimum`/`maximum` (and their exclusive forms), `anyOf`, `oneOf` and `allOf`.
+ * Unknown keywords are ignored, and a `pattern` that is not a valid regular expression is
+ * reported as a violation rather than thrown.
+ * @param {any} value - The value to validate.
+ * @param {object} schema - The JSON Schema.
+ * @returns {{ valid: boolean, errors: string[] }} The result, with one message per violation.
+ */
+export function validateJsonSchema(value, schema) {
+    const errors = [];
+    checkSchema(value, schema, '$', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkSchema(value, schema, path, errors) {
+    if (schema === true || schema === undefined || schema === null) return;
+    if (schema === false) { errors.push(`${path}: no value is allowed here`); return; }
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = jsonTypeOf(value);
+        const matches = types.some(t => t === actual || (t === 'integer' && Number.isInteger(value)) || (t === 'number' && actual === 'number'));
+        if (!matches) { errors.push(`${path}: expected ${types.join(' or ')} but got ${actual}`); return; }
+    }
+    if (schema.enum && !schema.enum.some(option => stableStringify(option) === stableStringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && stableStringify(schema.const) !== stableStringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters long`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters long`);
+        if (schema.pattern !== undefined) {
+            let pattern;
+            try {
+                pattern = new RegExp(schema.pattern, 'u');
+            } catch (e) {
+                errors.push(`${path}: the schema's pattern ${schema.pattern} is not a valid regular expression (${e.message})`);
+            }
+            if (pattern && !pattern.test(value)) errors.push(`${path}: must match the pattern ${schema.pattern}`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must contain at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must contain at most ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+            value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+        }
+    }
+    if (jsonTypeOf(value) === 'object') {
+        const properties = schema.properties ?? {};
+        for (const key of schema.required ?? []) {
+            if (!Object.hasOwn(value, key)) errors.push(`${path}: missing required property '${key}'`);
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (Object.hasOwn(properties, key)) checkSchema(propertyValue, properties[key], `${path}.${key}`, errors);
+            else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property '${key}'`);
+            else if (typeof schema.additionalProperties === 'object') checkSchema(propertyValue, schema.additionalProperties, `${path}.${key}`, errors);
+        }
+    }
+    for (const subschema of schema.allOf ?? []) checkSchema(value, subschema, path, errors);
+    if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(value, subschema).valid)) {
+        errors.push(`${path}: must match at least one of the schemas in anyOf`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(subschema => validateJsonSchema(value, subschema).valid).length !== 1) {
+        errors.push(`${path}: must match exactly one of the schemas in oneOf`);
+    }
+}
+
+/** Returns a copy of `value` with the `default` of every missing schema property filled in. */
+function applySchemaDefaults(value, schema) {
+    if (!schema || typeof schema !== 'object') return value;
+    if (Array.isArray(value)) {
+        return schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)
+            ? value.map(item => applySchemaDefaults(item, schema.items))
+            : value;
+    }
+    if (jsonTypeOf(value) !== 'object' || !schema.properties) return value;
+    const result = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        if (!Object.hasOwn(result, key)) {
+            if (propertySchema?.default !== undefined) result[key] = structuredClone(propertySchema.default);
+        } else {
+            result[key] = applySchemaDefaults(result[key], propertySchema);
+        }
+    }
+    return result;
+}
+
+/**
+ * Estimates the number of tokens in a text or a list of messages without calling the server.
+ * It assumes about four characters per token, a small overhead per message and a flat cost per
+ * media attachment, which is close enough to budget a context window but not to bill by.
+ * @param {string | ChatMessage | ChatMessage[]} input - The text or messages to measure.
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokens(input) {
+    if (typeof input === 'string') return Math.ceil(input.length / TOKEN_ESTIMATE.charsPerToken);
+    const messages = Array.isArray(input) ? input : [input];
+    let total = 0;
+    for (const message of messages) {
+        total += TOKEN_ESTIMATE.perMessage;
+        if (message.type === 'media_message') total += TOKEN_ESTIMATE.perMedia;
+        else total += estimateTokens(`${message.toolName ?? ''}${message.content ?? message.result ?? ''}`);
+    }
+    return total;
+}
+
+/**
+ * Returns the context window of a model profile in tokens, if it is known.
+ * @param {string} profile - The model profile.
+ * @returns {number | undefined} The context window size.
+ */
+export function getContextWindow(profile) {
+    return modelProfiles[profile]?.contextWindow;
+}
+
+/**
+ * Built-in history strategies for `ChatSession.withContextStrategy()`. A strategy receives the
+ * messages about to be sent and returns the messages to send instead; the conversation history
+ * itself is never modified. System messages are always kept, and a tool result is never
+ * separated from the call it answers.
+ */
+export const ContextStrategies = {
+    /**
+     * Drops the oldest turns until the history fits the token budget. The history is only cut
+     * just before a user message, so a tool call always stays with its results, and the first
+     * user message (usually the task) is kept. The latest turn is always sent, even if it alone
+     * exceeds the budget.
+     * @returns {ContextStrategy}
+     */
+    slidingWindow() {
+        return (messages, { maxTokens }) => {
+            const { system, rest } = splitSystemMessages(messages);
+            const firstUser = rest.findIndex(message => message.type === 'user_message');
+            const costs = rest.map(message => estimateTokens(message));
+            const boundaries = rest.flatMap((message, i) => (i > firstUser && message.type === 'user_message' ? [i] : []));
+            let total = estimateTokens(system) + costs.reduce((sum, cost) => sum + cost, 0);
+            let start = 0;
+            for (const boundary of boundaries) {
+                if (total <= maxTokens) break;
+                for (let i = start; i < boundary; i++) {
+                    if (i !== firstUser) total -= costs[i];
+                }
+                start = boundary;
+            }
+            const pinned = firstUser !== -1 && firstUser < start ? [rest[firstUser]] : [];
+            return [...system, ...pinned, ...rest.slice(start)];
+        };
+    },
+
+    /**
+     * Keeps the system messages and the last `count` other messages, regardless of the budget.
+     * @param {number} count - How many of the latest messages to keep.
+     * @returns {ContextStrategy}
+     */
+    keepSystemAndLastN(count) {
+        if (!Number.isInteger(count) || count < 1) throw new Error('keepSystemAndLastN requires a positive integer count.');
+        return (messages) => {
+            const { system, rest } = splitSystemMessages(messages);
+            return [...system, ...rest.slice(keepFrom(rest, rest.length - count, 0))];
+        };
+    },
+
+    /**
+     * When the history exceeds the budget, replaces everything but the last `keepLast` messages
+     * with a summary written by the model. The summary is reused, and extended with newer
+     * messages, on later requests for the same conversation.
+     * @param {{ keepLast?: number, prompt?: string, session?: ChatSession }} [options={}] - `session`
+     * writes the summaries; it defaults to the session being trimmed, without tools.
+     * @returns {ContextStrategy}
+     */
+    summarize(options = {}) {
+        const { keepLast = 6, prompt = DEFAULT_SUMMARY_PROMPT } = options;
+        const fingerprint = messages => createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+        const summaryMessage = summary => createUserMessage(`Summary of the earlier conversation:\n${summary}`);
+        let covered = null;
+        return async (messages, context) => {
+            const { system, rest } = splitSystemMessages(messages);
+            let head = [];
+            let from = 0;
+            if (covered && covered.count <= rest.length && fingerprint(rest.slice(0, covered.count)) === covered.key) {
+                head = [summaryMessage(covered.summary)];
+                from = covered.count;
+            }
+            const current = [...system, ...head, ...rest.slice(from)];
+            if (estimateTokens(current) <= context.maxTokens) return current;
+
+            const start = keepFrom(rest, rest.length - keepLast, from);
+            if (start <= from) return current;
+            const summarizer = options.session ?? context.session;
+            const { text } = await summarizer.complete([...head, ...rest.slice(from, start), createUserMessage(prompt)], { signal: context.signal });
+            covered = { count: start, key: fingerprint(rest.slice(0, start)), summary: text };
+            return [...system, summaryMessage(text), ...rest.slice(start)];
+        };
+    },
+};
+
+function splitSystemMessages(messages) {
+    return {
+        system: messages.filter(message => message.type === 'system_message'),
+        rest: messages.filter(message => message.type !== 'system_message'),
+    };
+}
+
+/** Moves a cut point back so that the kept messages do not start with an orphaned tool result. */
+function keepFrom(messages, start, min) {
+    let index = Math.max(min, start);
+    while (index > min && messages[index]?.type === 'tool_message') index--;
+    return index;
+}
+
+/** Extracts a JSON value from model output that may be wrapped in prose or a Markdown code fence. */
+function extractJson(text) {
+    const trimmed = text.trim();
+    try { return JSON.parse(trimmed); } catch { /* look further */ }
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(trimmed);
+    if (fenced) {
+        try { return JSON.parse(fenced[1]); } catch { /* look further */ }
+    }
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) return JSON.parse(trimmed.slice(start, end + 1));
+    throw new SyntaxError('The response does not contain a JSON value.');
+}
+
+/** Folds a chat stream event into per-choice aggregates of text, tool calls and finish reason. */
+function accumulateChoice(choices, event) {
+    if (!['text', 'tool_calls', 'finish'].includes(event.type)) return;
+    const index = event.choiceIndex ?? 0;
+    if (!choices.has(index)) choices.set(index, { index, text: '', toolCalls: [], finishReason: null });
+    const choice = choices.get(index);
+    if (event.type === 'text') choice.text += event.content;
+    else if (event.type === 'tool_calls') choice.toolCalls = event.calls;
+    else choice.finishReason = event.reason;
+}
+
+async function selectChoice(choices, selector) {
+    const candidates = Array.from(choices.values()).sort((a, b) => a.index - b.index);
+    let index = typeof selector === 'number' ? selector : 0;
+    if (typeof selector === 'function' && candidates.length > 1) index = await selector(candidates);
+    if (choices.has(index)) return choices.get(index);
+    // A response without any content still continues with an empty choice 0.
+    if (choices.size === 0 && index === 0) return { index, text: '', toolCalls: [], finishReason: null };
+    const available = candidates.map(c => c.index).join(', ') || 'none';
+    throw new RangeError(`Choice ${index} is not in the response; available choice indexes: ${available}.`);
+}
+
+function resolveRetryPolicy(retryOption) {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(retryOption === false ? { maxAttempts: 1 } : retryOption ?? {}) };
+    policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+    policy.retryableStatuses = new Set(policy.retryableStatuses);
+    return policy;
+}
+
+function computeRetryDelay(policy, attempt, response) {
+    if (policy.respectRetryAfter && response?.headers) {
+        const retryAfter = response.headers.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delayMs)) return Math.min(policy.maxDelayMs, Math.max(0, delayMs));
+        }
+    }
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return policy.jitter ? Math.round(Math.random() * exponential) : exponential;
+}
+
+/** Returns the `exp` claim of a JWT in epoch milliseconds, or null if it cannot be decoded. */
+function decodeJwtExpiry(token) {
+    const payload = typeof token === 'string' ? token.split('.')[1] : undefined;
+    if (!payload) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+function maskToken(token) {
+    if (typeof token !== 'string') return token;
+    return token.length <= 12 ? '***' : `${token.slice(0, 4)}***${token.slice(-4)}`;
+}
+
+/**
+ * Applies the client's redaction policy to a JSON request body before it is emitted in an
+ * `api_request` event. Media payloads are truncated and the configured dot paths (where `*`
+ * matches every array element or object key) are replaced. Non-JSON bodies are passed through.
+ */
+function redactRequestBody(body, redaction) {
+    if (typeof body !== 'string') return body;
+    let parsed;
+    try { parsed = JSON.parse(body); } catch { return body; }
+    const visit = (node) => {
+        if (Array.isArray(node)) { node.forEach(visit); return; }
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'media_message' && typeof node.data === 'string' && node.data.length > redaction.mediaPreviewLength) {
+            node.data = `${node.data.slice(0, redaction.mediaPreviewLength)}...[${node.data.length - redaction.mediaPreviewLength} chars redacted]`;
         }
+        Object.values(node).forEach(visit);
+    };
+    visit(parsed);
+    for (const path of redaction.paths) redactPath(parsed, path.split('.'));
+    return JSON.stringify(parsed);
+}
+
+function redactPath(node, segments) {
+    if (!node || typeof node !== 'object' || segments.length === 0) return;
+    const [head, ...rest] = segments;
+    const keys = head === '*' ? Object.keys(node) : [head];
+    for (const key of keys) {
+        if (!Object.hasOwn(node, key)) continue;
+        if (rest.length === 0) node[key] = '[REDACTED]';
+        else redactPath(node[key], rest);
+    }
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/** Writes a file through a temporary file renamed over the target, so readers never see a partial write. */
+async function writeFileAtomic(path, content, mode) {
+    const tempPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await fs.writeFile(tempPath, content, { encoding: 'utf-8', ...(mode !== undefined && { mode }) });
+        await fs.rename(tempPath, path);
+    } catch (e) {
+        await fs.rm(tempPath, { force: true }).catch(() => {});
+        throw e;
+    }
+}
+
+function toJsonLines(values) {
+    return values.map(value => JSON.stringify(value) + '\n').join('');
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+        const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
     });
-    return Promise.all(executionPromises);
+}
+
+async function* readTextStream(response, scope) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const onAbort = () => reader.cancel(scope.signal.reason).catch(() => {});
+    scope.signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        while (true) {
+            let result;
+            try { result = await reader.read(); }
+            catch (e) { throw scope.signal.aborted ? scope.signal.reason : e; }
+            if (scope.signal.aborted) throw scope.signal.reason;
+            if (result.done) return;
+            yield result.value;
+        }
+    } finally {
+        scope.signal.removeEventListener('abort', onAbort);
+        await reader.cancel().catch(() => {});
+        reader.releaseLock();
+        scope.dispose();
+    }
+}
+
+async function* readSSEEvents(response, scope) {
+    const decoder = new SSEDecoder();
+    for await (const chunk of readTextStream(response, scope)) {
+        for (const message of decoder.push(chunk)) yield* splitUnseparatedRecords(message);
+    }
+    for (const message of decoder.end()) yield* splitUnseparatedRecords(message);
+}
+
+/**
+ * Some gateways and older fixtures send one `data:` line per record without the blank line
+ * that terminates an SSE event, which the decoder joins into a single multi-line payload.
+ * When such a payload is not valid JSON as a whole, each line is treated as its own record.
+ */
+function splitUnseparatedRecords(message) {
+    if (!message.data.includes('\n')) return [message];
+    try {
+        JSON.parse(message.data);
+        return [message];
+    } catch {
+        return message.data.split('\n').map(data => ({ ...message, data }));
+    }
 }
 
 
@@ -200,44 +842,171 @@ export async function executeTools(toolCalls, toolLibrary) {
 // SECTION 4: INTERNAL SDK CLASSES
 // ==================================================================================
 
+/**
+ * An incremental Server-Sent Events decoder following the WHATWG specification.
+ * Text chunks may be split at arbitrary positions; `push()` returns every event completed
+ * by the chunk. Handles LF, CR and CRLF line endings (including a CRLF split across chunks),
+ * a leading BOM, comment lines, multi-line `data:` fields and the `event`, `id` and `retry` fields.
+ */
+export class SSEDecoder {
+    #buffer = ''; #pendingCR = false; #isFirstChunk = true;
+    #data = []; #eventType = ''; #lastEventId = ''; #retry = null;
+
+    /**
+     * Feeds a decoded text chunk into the decoder.
+     * @param {string} chunk - The next piece of the stream.
+     * @returns {SSEMessage[]} The events dispatched by this chunk, in order.
+     */
+    push(chunk) {
+        if (!chunk) return [];
+        if (this.#isFirstChunk) {
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+            this.#isFirstChunk = false;
+        }
+        // A CR at the end of the previous chunk has already terminated its line.
+        if (this.#pendingCR && chunk.startsWith('\n')) chunk = chunk.slice(1);
+        this.#pendingCR = false;
+        this.#buffer += chunk;
+        const events = [];
+        let start = 0;
+        for (let i = 0; i < this.#buffer.length; i++) {
+            const char = this.#buffer[i];
+            if (char !== '\n' && char !== '\r') continue;
+            const event = this.#processLine(this.#buffer.slice(start, i));
+            if (event) events.push(event);
+            if (char === '\r') {
+                if (i + 1 === this.#buffer.length) this.#pendingCR = true;
+                else if (this.#buffer[i + 1] === '\n') i++;
+            }
+            start = i + 1;
+        }
+        this.#buffer = this.#buffer.slice(start);
+        return events;
+    }
+
+    /**
+     * Signals the end of the stream. Unlike a browser EventSource, a trailing event that is
+     * not followed by a blank line is still dispatched, since some servers omit it.
+     * @returns {SSEMessage[]} The final event, if any.
+     */
+    end() {
+        const events = [];
+        if (this.#buffer) {
+            const event = this.#processLine(this.#buffer);
+            if (event) events.push(event);
+            this.#buffer = '';
+        }
+        const event = this.#dispatch();
+        if (event) events.push(event);
+        return events;
+    }
+
+    #processLine(line) {
+        if (line === '') return this.#dispatch();
+        if (line.startsWith(':')) return null;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        switch (field) {
+            case 'data': this.#data.push(value); break;
+            case 'event': this.#eventType = value; break;
+            case 'id': if (!value.includes('\0')) this.#lastEventId = value; break;
+            case 'retry': if (/^\d+$/.test(value)) this.#retry = Number(value); break;
+            default: break;
+        }
+        return null;
+    }
+
+    #dispatch() {
+        const hasData = this.#data.length > 0;
+        const event = { event: this.#eventType || 'message', data: this.#data.join('\n'), id: this.#lastEventId, retry: this.#retry };
+        this.#data = [];
+        this.#eventType = '';
+        return hasData ? event : null;
+    }
+}
+
+/**
+ * Turns chat SSE messages into stream events. State is kept per choice, so responses
+ * requested with `numberOfChoices()` are tracked independently by their `choiceIndex`.
+ *
+ * The gateway's chat stream format does not document how records of different choices are
+ * told apart. This parser assumes each record carries a numeric `choiceIndex` field and treats
+ * records without one as choice 0, which keeps single-choice streams unaffected. Confirm the
+ * field against the gateway before relying on more than one choice.
+ */
 class SSEParser {
-    constructor() { this.finalizedToolCalls = []; this.toolCallsInProgress = new Map(); }
-    parseLine(line) {
-        if (!line.startsWith('data: ')) return null;
-        const dataContent = line.substring(6);
-        if (dataContent.trim() === 'end') return null;
-        try {
-            const parsed = JSON.parse(dataContent);
-            switch (parsed.type) {
-                case 'Content': return { type: 'text', content: parsed.content };
-                case 'ToolCall':
-                    const idx = parsed.parallelToolIndex ?? 0;
-                    if (!this.toolCallsInProgress.has(idx)) this.toolCallsInProgress.set(idx, { id: null, name: null, arguments: '' });
-                    const currentCall = this.toolCallsInProgress.get(idx);
-                    if (parsed.id) currentCall.id = parsed.id;
-                    if (parsed.name) currentCall.name = parsed.name;
-                    if (parsed.content) currentCall.arguments += parsed.content;
-                    return null;
-                case 'FinishMetadata':
-                    if (['tool_call', 'tool_calls', 'stop'].includes(parsed.reason)) {
-                        const sortedCalls = Array.from(this.toolCallsInProgress.entries()).sort(([a], [b]) => a - b).map(([, call]) => call);
-                        this.finalizedToolCalls.push(...sortedCalls);
-                        this.toolCallsInProgress.clear();
-                    }
-                    return null;
-                case 'QuotaMetadata': return { type: 'quota', data: parsed };
-                default: return null;
+    constructor() { this.choices = new Map(); }
+    #choice(index) {
+        if (!this.choices.has(index)) this.choices.set(index, { index, finalizedToolCalls: [], toolCallsInProgress: new Map(), finishMetadata: null });
+        return this.choices.get(index);
+    }
+    /** Converts one SSE message into zero or more stream events. */
+    parseEvent({ data: dataContent }) {
+        if (!dataContent.trim() || dataContent.trim() === 'end') return [];
+        let parsed;
+        try { parsed = JSON.parse(dataContent); }
+        catch (e) { throw new SSEError(`Failed to parse SSE data chunk: ${e.message}`); }
+        const choiceIndex = parsed.choiceIndex ?? 0;
+        switch (parsed.type) {
+            case 'Content': return [{ type: 'text', content: parsed.content, choiceIndex }];
+            case 'ToolCall': {
+                const events = [];
+                const { toolCallsInProgress } = this.#choice(choiceIndex);
+                const idx = parsed.parallelToolIndex ?? 0;
+                if (!toolCallsInProgress.has(idx)) {
+                    toolCallsInProgress.set(idx, { id: parsed.id ?? null, name: parsed.name ?? null, arguments: '' });
+                    events.push({ type: 'tool_call_start', index: idx, id: parsed.id ?? null, name: parsed.name ?? null, choiceIndex });
+                }
+                const currentCall = toolCallsInProgress.get(idx);
+                if (parsed.id) currentCall.id = parsed.id;
+                if (parsed.name) currentCall.name = parsed.name;
+                if (parsed.content) {
+                    currentCall.arguments += parsed.content;
+                    const argumentsSoFar = currentCall.arguments;
+                    let partialArguments;
+                    events.push({
+                        type: 'tool_call_delta', index: idx, id: currentCall.id, name: currentCall.name, choiceIndex,
+                        delta: parsed.content, arguments: argumentsSoFar,
+                        // Parsed on first access only; re-parsing every delta would be quadratic in the argument size.
+                        get partialArguments() {
+                            if (partialArguments === undefined) partialArguments = { value: parsePartialJson(argumentsSoFar) };
+                            return partialArguments.value;
+                        },
+                    });
+                }
+                return events;
             }
-        } catch (e) { throw new SSEError(`Failed to parse SSE data chunk: ${e.message}`); }
+            case 'FinishMetadata': {
+                const events = [];
+                const choice = this.#choice(choiceIndex);
+                choice.finishMetadata = parsed;
+                if (['tool_call', 'tool_calls', 'stop'].includes(parsed.reason)) {
+                    const sortedEntries = Array.from(choice.toolCallsInProgress.entries()).sort(([a], [b]) => a - b);
+                    for (const [index, call] of sortedEntries) events.push({ type: 'tool_call_end', index, call, choiceIndex });
+                    choice.finalizedToolCalls.push(...sortedEntries.map(([, call]) => call));
+                    choice.toolCallsInProgress.clear();
+                }
+                events.push({ type: 'finish', reason: parsed.reason ?? null, data: parsed, choiceIndex });
+                return events;
+            }
+            case 'QuotaMetadata': return [{ type: 'quota', data: parsed }];
+            default: return [];
+        }
+    }
+    getFinalResult() {
+        const choices = Array.from(this.choices.values())
+            .sort((a, b) => a.index - b.index)
+            .map(c => ({ index: c.index, toolCalls: c.finalizedToolCalls, finishReason: c.finishMetadata?.reason ?? null, finishMetadata: c.finishMetadata }));
+        const primary = choices.find(c => c.index === 0) ?? { toolCalls: [], finishReason: null, finishMetadata: null };
+        return { toolCalls: primary.toolCalls, finishReason: primary.finishReason, finishMetadata: primary.finishMetadata, choices };
     }
-    getFinalResult() { return { toolCalls: this.finalizedToolCalls }; }
 }
 
 class TaskSSEParser {
-    parseLine(line) {
-        if (!line.startsWith('data: ')) return null;
-        const dataContent = line.substring(6);
-        if (dataContent.trim() === 'end') return null;
+    parseEvent({ data: dataContent }) {
+        if (!dataContent.trim() || dataContent.trim() === 'end') return null;
         try {
             const parsed = JSON.parse(dataContent);
             const type = parsed.type;
@@ -263,66 +1032,263 @@ class TaskSSEParser {
     }
 }
 
+/**
+ * Tracks cancellation for a single logical request, from the first fetch attempt until the
+ * response body has been fully consumed. Combines the caller's AbortSignal with the
+ * client's total timeout; `signal.reason` is always an APIAbortError or APITimeoutError.
+ */
+class RequestScope {
+    #controller = new AbortController(); #userSignal; #onUserAbort; #totalTimer; #releaseAttempt;
+    constructor(userSignal, timeouts) {
+        this.firstByteMs = timeouts.firstByteMs;
+        this.#userSignal = userSignal;
+        if (userSignal) {
+            this.#onUserAbort = () => this.#controller.abort(new APIAbortError('The request was aborted.', userSignal.reason));
+            if (userSignal.aborted) this.#onUserAbort();
+            else userSignal.addEventListener('abort', this.#onUserAbort, { once: true });
+        }
+        if (timeouts.totalMs > 0) {
+            this.#totalTimer = setTimeout(() => this.#controller.abort(new APITimeoutError(`The request did not complete within ${timeouts.totalMs}ms.`, 'total', timeouts.totalMs)), timeouts.totalMs);
+        }
+    }
+    get signal() { return this.#controller.signal; }
+
+    /**
+     * Creates a signal for one fetch attempt that also aborts if no response headers arrive in time.
+     * `clear()` stops the first-byte timer; the attempt stays linked to the scope (so an abort still
+     * cancels a body being read) until the next attempt starts or the scope is disposed.
+     */
+    attemptSignal() {
+        this.#releaseAttempt?.();
+        if (!(this.firstByteMs > 0)) return { signal: this.signal, clear: () => {} };
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(this.signal.reason);
+        this.signal.addEventListener('abort', onAbort, { once: true });
+        this.#releaseAttempt = () => {
+            this.signal.removeEventListener('abort', onAbort);
+            this.#releaseAttempt = undefined;
+        };
+        const timer = setTimeout(() => controller.abort(new APITimeoutError(`No response was received within ${this.firstByteMs}ms.`, 'first_byte', this.firstByteMs)), this.firstByteMs);
+        return { signal: controller.signal, clear: () => clearTimeout(timer) };
+    }
+    dispose() {
+        clearTimeout(this.#totalTimer);
+        this.#releaseAttempt?.();
+        this.#userSignal?.removeEventListener('abort', this.#onUserAbort);
+    }
+}
+
+/**
+ * A record-and-replay transport for deterministic offline tests. In `record` mode every
+ * request is forwarded to the real fetch and the fully buffered response is appended to a
+ * JSONL fixture file; in `replay` mode responses are served from that file without touching
+ * the network. `auto` replays when the file exists and records otherwise.
+ * Requests are matched on method, path and normalized body (keys sorted, the generated
+ * prompt id removed). Identical requests are replayed in the order they were recorded.
+ */
+class Cassette {
+    #path; #mode; #innerFetch; #ready = null; #pending = new Map(); #writeChain = Promise.resolve();
+    constructor(options, innerFetch) {
+        if (!options.path) throw new Error('The `cassette.path` option is required.');
+        const mode = options.mode ?? 'auto';
+        if (!['record', 'replay', 'auto'].includes(mode)) throw new Error(`Unknown cassette mode '${mode}'. Expected 'record', 'replay' or 'auto'.`);
+        this.#path = options.path;
+        this.#mode = mode;
+        this.#innerFetch = innerFetch;
+    }
+
+    fetch = async (url, init = {}) => {
+        await (this.#ready ??= this.#initialize());
+        const request = this.#describeRequest(url, init);
+        return this.#mode === 'replay' ? this.#replay(request, init.signal) : this.#record(request, url, init);
+    };
+
+    async #initialize() {
+        if (this.#mode === 'auto') {
+            this.#mode = await fs.access(this.#path).then(() => 'replay', () => 'record');
+        }
+        if (this.#mode === 'record') {
+            await fs.writeFile(this.#path, '', 'utf-8');
+            return;
+        }
+        let text;
+        try { text = await fs.readFile(this.#path, 'utf-8'); }
+        catch (e) { throw new CassetteError(`Failed to read cassette file '${this.#path}': ${e.message}`, { path: this.#path }); }
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            const interaction = JSON.parse(line);
+            const key = Cassette.#matchKey(interaction.request);
+            if (!this.#pending.has(key)) this.#pending.set(key, []);
+            this.#pending.get(key).push(interaction.response);
+        }
+    }
+
+    #describeRequest(url, init) {
+        const method = (init.method ?? 'GET').toUpperCase();
+        const path = new URL(url).pathname;
+        let body = null;
+        let profile = null;
+        if (typeof init.body === 'string' && init.body) {
+            try {
+                const parsed = JSON.parse(init.body);
+                if (typeof parsed.prompt === 'string' && /^js-sdk-prompt-\d+$/.test(parsed.prompt)) delete parsed.prompt;
+                profile = parsed.profile ?? null;
+                body = parsed;
+            } catch {
+                body = init.body;
+            }
+        }
+        return { method, path, profile, body };
+    }
+
+    async #record(request, url, init) {
+        const response = await this.#innerFetch(url, init);
+        let body = await response.text();
+        // Never persist credentials handed out by the gateway.
+        if (request.path.endsWith('/auth/jwt/refresh/v3') && response.ok) body = JSON.stringify({ token: 'cassette-redacted-token' });
+        const headers = Object.fromEntries(response.headers.entries());
+        const interaction = { request, response: { status: response.status, headers, body } };
+        this.#writeChain = this.#writeChain.then(() => fs.appendFile(this.#path, JSON.stringify(interaction) + '\n', 'utf-8'));
+        await this.#writeChain;
+        return Cassette.#toResponse(interaction.response);
+    }
+
+    #replay(request, signal) {
+        if (signal?.aborted) throw signal.reason;
+        const queue = this.#pending.get(Cassette.#matchKey(request));
+        if (!queue?.length) {
+            throw new CassetteError(`No recorded interaction in '${this.#path}' matches ${request.method} ${request.path}.`, { request });
+        }
+        return Cassette.#toResponse(queue.shift());
+    }
+
+    static #matchKey({ method, path, body }) { return `${method} ${path} ${stableStringify(body)}`; }
+    static #toResponse({ status, headers, body }) {
+        const hasBody = ![101, 204, 205, 304].includes(status);
+        return new Response(hasBody ? body : null, { status, headers });
+    }
+}
+
 class InternalHttpClient {
-    #token; #apiBaseUrl; #eventEmitter;
+    #token; #credentials; #apiBaseUrl; #eventEmitter; #retryPolicy; #timeouts; #fetch; #defaultHeaders;
+    #refreshLeewayMs; #refreshInFlight = null; #redaction;
     constructor(options = {}, eventEmitter) {
         this.#eventEmitter = eventEmitter;
-        const token = options.token ?? process.env.GRAZIE_JWT_TOKEN ?? process.env.GRAZIE_USER_JWT_TOKEN;
-        if (!token) throw new Error('An authentication token is required. Provide it via the `token` option or the GRAZIE_JWT_TOKEN environment variable.');
+        if (options.credentials !== undefined && typeof options.credentials?.getToken !== 'function') {
+            throw new Error('The `credentials` option must implement `getToken()`.');
+        }
+        this.#credentials = options.credentials ?? null;
+        // With a credentials provider the token is resolved lazily on the first request.
+        const token = options.token ?? (this.#credentials ? null : process.env.GRAZIE_JWT_TOKEN ?? process.env.GRAZIE_USER_JWT_TOKEN);
+        if (!token && !this.#credentials) throw new Error('An authentication token is required. Provide it via the `token` or `credentials` option, or the GRAZIE_JWT_TOKEN environment variable.');
         this.#token = token;
         const authType = options.authType ?? AuthType.USER;
         const endpoint = options.endpoint ?? GatewayEndpoint.PRODUCTION;
         this.#apiBaseUrl = `${endpoint}/${authType}/v5`;
+        this.#retryPolicy = resolveRetryPolicy(options.retry);
+        this.#timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeout };
+        if (options.fetch !== undefined && typeof options.fetch !== 'function') throw new Error('The `fetch` option must be a function compatible with the global fetch API.');
+        // Resolve the global lazily so that it can still be replaced after the client is created.
+        const baseFetch = options.fetch ?? ((input, init) => fetch(input, init));
+        this.#fetch = options.cassette ? new Cassette(options.cassette, baseFetch).fetch : baseFetch;
+        this.#defaultHeaders = { ...options.headers };
+        this.#refreshLeewayMs = options.tokenRefreshLeewayMs ?? DEFAULT_TOKEN_REFRESH_LEEWAY_MS;
+        this.#redaction = options.unsafeRawEvents ? null : { ...DEFAULT_REDACTION, ...options.redact };
     }
     getEventEmitter() { return this.#eventEmitter; }
+    createRequestScope(signal) { return new RequestScope(signal, this.#timeouts); }
+
+    /**
+     * Sends a request to the gateway and returns the response once its headers have arrived.
+     * Transient failures (network errors and retryable statuses) are retried with exponential
+     * backoff according to the client's retry policy. The token is refreshed ahead of its `exp`
+     * claim, and a 401 triggers a single refresh; concurrent requests share one refresh.
+     * Nothing is retried once the response body has started streaming to the caller.
+     * `options.scope` (see `createRequestScope`) carries cancellation and timeouts; the caller
+     * owns it and must dispose it once the response body has been consumed.
+     */
     async _fetchWithRetry(path, options, isRetry = false) {
         const url = `${this.#apiBaseUrl}${path}`;
-        const headers = {
-            'Content-Type': 'application/json',
-            'Grazie-Agent': JSON.stringify({ name: "js-library-client", version: "2.14.0" }),
-            'Grazie-Authenticate-JWT': this.#token,
-            ...options.headers,
-        };
-        this.#eventEmitter.emit('api_request', { url, method: options.method, body: options.body });
-        const response = await fetch(url, { ...options, headers });
-        this.#eventEmitter.emit('api_response', { url, status: response.status, ok: response.ok });
-        if (!response.ok) {
-            if (response.status === 401 && !isRetry) {
-                try {
-                    this.#eventEmitter.emit('token_refresh_start');
-                    const newToken = await this._refreshToken();
-                    this.#token = newToken;
-                    this.#eventEmitter.emit('token_refresh_success', newToken);
-                    return this._fetchWithRetry(path, options, true);
-                } catch (refreshError) {
-                    this.#eventEmitter.emit('error', refreshError);
-                    throw refreshError;
+        const policy = this.#retryPolicy;
+        const { scope, ...fetchOptions } = options;
+        if (!this.#token) this.#token = await this.#loadStoredToken();
+        for (let attempt = 1; ; attempt++) {
+            if (scope.signal.aborted) throw scope.signal.reason;
+            await this.#ensureFreshToken();
+            const usedToken = this.#token;
+            const headers = {
+                'Content-Type': 'application/json',
+                'Grazie-Agent': JSON.stringify({ name: "js-library-client", version: "2.14.0" }),
+                ...this.#defaultHeaders,
+                'Grazie-Authenticate-JWT': usedToken,
+                ...fetchOptions.headers,
+            };
+            const eventBody = this.#redaction ? redactRequestBody(fetchOptions.body, this.#redaction) : fetchOptions.body;
+            this.#eventEmitter.emit('api_request', { url, method: fetchOptions.method, body: eventBody });
+            const attemptSignal = scope.attemptSignal();
+            let response;
+            try {
+                response = await this.#fetch(url, { ...fetchOptions, headers, signal: attemptSignal.signal });
+            } catch (fetchError) {
+                if (scope.signal.aborted) throw scope.signal.reason;
+                // Errors raised by the SDK itself (e.g. a cassette miss) are not transient.
+                if (fetchError instanceof APIError) throw fetchError;
+                const networkError = attemptSignal.signal.aborted ? attemptSignal.signal.reason : fetchError;
+                if (attempt >= policy.maxAttempts) throw networkError;
+                const delayMs = computeRetryDelay(policy, attempt, null);
+                this.#eventEmitter.emit('retry_attempt', { url, attempt: attempt + 1, maxAttempts: policy.maxAttempts, delayMs, error: networkError });
+                await sleep(delayMs, scope.signal);
+                continue;
+            } finally {
+                attemptSignal.clear();
+            }
+            this.#eventEmitter.emit('api_response', { url, status: response.status, ok: response.ok });
+            if (!response.ok) {
+                if (response.status === 401 && !isRetry) {
+                    await response.body?.cancel().catch(() => {});
+                    // Another process sharing the credentials may already have refreshed the token.
+                    if (this.#credentials && this.#token === usedToken) {
+                        const storedToken = await this.#loadStoredToken();
+                        if (storedToken && storedToken !== usedToken) this.#token = storedToken;
+                    }
+                    if (this.#token !== usedToken) return this._fetchWithRetry(path, { ...fetchOptions, scope }, isRetry);
+                    await this.#refreshTokenOnce();
+                    if (scope.signal.aborted) throw scope.signal.reason;
+                    return this._fetchWithRetry(path, { ...fetchOptions, scope }, true);
                 }
+                if (policy.retryableStatuses.has(response.status) && attempt < policy.maxAttempts) {
+                    const delayMs = computeRetryDelay(policy, attempt, response);
+                    await response.body?.cancel().catch(() => {});
+                    this.#eventEmitter.emit('retry_attempt', { url, attempt: attempt + 1, maxAttempts: policy.maxAttempts, delayMs, status: response.status });
+                    await sleep(delayMs, scope.signal);
+                    continue;
+                }
+                let errorDetails;
+                try { errorDetails = await response.json(); }
+                catch (e) { errorDetails = { message: 'Failed to parse error response from API.', responseText: await response.text().catch(() => '') }; }
+                const error = new APIStatusError(`API request failed with status ${response.status}`, response.status, errorDetails);
+                this.#eventEmitter.emit('error', error);
+                throw error;
             }
-            let errorDetails;
-            try { errorDetails = await response.json(); }
-            catch (e) { errorDetails = { message: 'Failed to parse error response from API.', responseText: await response.text().catch(() => '') }; }
-            const error = new APIStatusError(`API request failed with status ${response.status}`, response.status, errorDetails);
-            this.#eventEmitter.emit('error', error);
-            throw error;
-        }
-        if (!response.body) {
-            const error = new APIError('API returned a successful status but with an empty response body.', response.status, null);
-            this.#eventEmitter.emit('error', error);
-            throw error;
+            if (!response.body) {
+                const error = new APIError('API returned a successful status but with an empty response body.', response.status, null);
+                this.#eventEmitter.emit('error', error);
+                throw error;
+            }
+            return response;
         }
-        return response;
     }
-    async _refreshToken() {
+    async _refreshToken(signal) {
         // *** THIS IS THE CORRECTED LOGIC ***
         // The refresh endpoint is relative to the base API URL.
         const refreshUrl = `${this.#apiBaseUrl}/auth/jwt/refresh/v3`;
         const headers = {
             'Content-Type': 'application/json',
+            ...this.#defaultHeaders,
             'Grazie-Authenticate-JWT': this.#token,
         };
         // Use a direct fetch call here to avoid a potential infinite retry loop.
-        const response = await fetch(refreshUrl, { method: 'POST', body: JSON.stringify({}), headers });
+        const response = await this.#fetch(refreshUrl, { method: 'POST', body: JSON.stringify({}), headers, signal });
         if (!response.ok) {
             throw new APIStatusError('Token refresh failed', response.status, await response.json().catch(() => ({})));
         }
@@ -330,6 +1296,68 @@ class InternalHttpClient {
         if (!data.token) throw new APIError('Token refresh response did not contain a new token.', response.status, data);
         return data.token;
     }
+
+    /**
+     * Refreshes the token, sharing a single in-flight refresh between all concurrent callers.
+     * Failures are rethrown to every caller and reported once: as a `credentials_warning` when the
+     * refresh was proactive and the current token has not expired yet, otherwise as an `error` event.
+     * @param {boolean} [proactive=false] - Whether the refresh was started ahead of expiry rather than after a 401.
+     */
+    #refreshTokenOnce(proactive = false) {
+        this.#refreshInFlight ??= (async () => {
+            const expiresAt = decodeJwtExpiry(this.#token);
+            try {
+                this.#eventEmitter.emit('token_refresh_start');
+                const signal = this.#timeouts.firstByteMs > 0 ? AbortSignal.timeout(this.#timeouts.firstByteMs) : undefined;
+                const newToken = await this._refreshToken(signal);
+                this.#token = newToken;
+                this.#eventEmitter.emit('token_refresh_success', this.#redaction?.maskTokens ? maskToken(newToken) : newToken);
+                await this.#persistToken(newToken);
+                return newToken;
+            } catch (refreshError) {
+                if (proactive && expiresAt !== null && expiresAt > Date.now()) {
+                    this.#eventEmitter.emit('credentials_warning', { message: `Failed to refresh the token ahead of expiry; continuing with the current token: ${refreshError.message}`, error: refreshError });
+                } else {
+                    this.#eventEmitter.emit('error', refreshError);
+                }
+                throw refreshError;
+            } finally {
+                this.#refreshInFlight = null;
+            }
+        })();
+        return this.#refreshInFlight;
+    }
+
+    /** Waits for an in-flight refresh, and refreshes proactively when the token is about to expire. */
+    async #ensureFreshToken() {
+        if (this.#refreshInFlight) {
+            await this.#refreshInFlight.catch(() => {});
+            return;
+        }
+        const expiresAt = decodeJwtExpiry(this.#token);
+        if (expiresAt === null || expiresAt - Date.now() > this.#refreshLeewayMs) return;
+        try {
+            await this.#refreshTokenOnce(true);
+        } catch (refreshError) {
+            // While the current token is still valid, let the request proceed with it.
+            if (expiresAt <= Date.now()) throw refreshError;
+        }
+    }
+
+    async #loadStoredToken() {
+        const token = await this.#credentials?.getToken();
+        if (!token && !this.#token) throw new Error('The credentials provider did not return an authentication token.');
+        return token || this.#token;
+    }
+    async #persistToken(token) {
+        if (!this.#credentials?.onRefreshed) return;
+        try {
+            await this.#credentials.onRefreshed(token);
+        } catch (e) {
+            // A failure to persist must not fail the request that triggered the refresh.
+            this.#eventEmitter.emit('credentials_warning', { message: `Failed to persist the refreshed token: ${e.message}`, error: e });
+        }
+    }
 }
 
 
@@ -337,6 +1365,55 @@ class InternalHttpClient {
 // SECTION 5: PUBLIC API CLASSES
 // ==================================================================================
 
+/**
+ * A credentials provider backed by a file. It reads JSON (`{ "token": "..." }`), an ES module
+ * exporting `token` (like `secret/token.mjs`), or a bare token, and writes refreshed tokens
+ * back in the same format. Writes go to a temporary file that is then renamed over the
+ * original, so concurrent processes never observe a partially written token.
+ */
+export class FileCredentials {
+    #path;
+    /** @param {string} path - The token file. */
+    constructor(path) {
+        if (!path) throw new Error('FileCredentials requires a file path.');
+        this.#path = path;
+    }
+    async getToken() {
+        const text = await fs.readFile(this.#path, 'utf-8');
+        try {
+            const parsed = JSON.parse(text);
+            if (typeof parsed?.token === 'string') return parsed.token;
+        } catch { /* not JSON */ }
+        const moduleMatch = /export\s+const\s+token\s*=\s*(["'`])([^"'`]*)\1/.exec(text);
+        if (moduleMatch) return moduleMatch[2];
+        return text.trim();
+    }
+    async onRefreshed(token) {
+        const ext = extname(this.#path).toLowerCase();
+        let content;
+        if (ext === '.json') {
+            content = JSON.stringify({ token, updatedAt: new Date().toISOString() }, null, 2) + '\n';
+        } else if (['.mjs', '.js'].includes(ext)) {
+            content = `// This file is auto-generated. Do not edit manually.\n// Last updated: ${new Date().toISOString()}\nexport const token = ${JSON.stringify(token)};\n`;
+        } else {
+            content = token + '\n';
+        }
+        await writeFileAtomic(this.#path, content, 0o600);
+    }
+}
+
+/**
+ * A credentials provider backed by an environment variable. Refreshed tokens are written
+ * back to `process.env`, so later clients and child processes spawned afterwards pick them up.
+ */
+export class EnvCredentials {
+    #variable;
+    /** @param {string} [variable='GRAZIE_JWT_TOKEN'] - The environment variable holding the token. */
+    constructor(variable = 'GRAZIE_JWT_TOKEN') { this.#variable = variable; }
+    getToken() { return process.env[this.#variable]; }
+    onRefreshed(token) { process.env[this.#variable] = token; }
+}
+
 export class ParameterBuilder {
     #params = {};
     temperature(value) { this.#params.TEMPERATURE = value; return this; }
@@ -345,7 +1422,7 @@ export class ParameterBuilder {
     length(value) { this.#params.LENGTH = value; return this; }
     stopToken(value) { this.#params.STOP_TOKEN = value; return this; }
     seed(value) { this.#params.SEED = value; return this; }
-    asJson() { this.#params.RESPONSE_FORMAT = { type: 'json' }; return this; }
+    asJson(schema) { this.#params.RESPONSE_FORMAT = schema ? { type: 'json', schema } : { type: 'json' }; return this; }
     toolChoiceAuto(isEnabled = true) { this.#params.TOOL_CHOICE_AUTO = isEnabled; return this; }
     toolChoiceRequired(isEnabled = true) { this.#params.TOOL_CHOICE_REQUIRED = isEnabled; return this; }
     toolChoiceNone(isEnabled = true) { this.#params.TOOL_CHOICE_NONE = isEnabled; return this; }
@@ -361,27 +1438,114 @@ export class ParameterBuilder {
 }
 
 export class ChatSession {
-    #httpClient; #profile; #tools = []; #parameters = {}; #systemMessage = null;
+    #httpClient; #profile; #tools = []; #parameters = {}; #systemMessage = null; #context = null; #retrieval = null;
     constructor(httpClient, profile) { this.#httpClient = httpClient; this.#profile = profile; }
     withTools(tools) { this.#tools = tools; return this; }
     withSystemMessage(content) { this.#systemMessage = content; return this; }
     withParameters(builderFn) { const builder = new ParameterBuilder(); this.#parameters = builderFn(builder)._build(); return this; }
-    async* stream(initialInput) {
-        const messages = Array.isArray(initialInput) ? initialInput : [createUserMessage(initialInput)];
-        const requestBody = this.#buildRequestBody(messages);
-        const response = await this.#httpClient._fetchWithRetry('/llm/chat/stream/v8', { method: 'POST', body: JSON.stringify(requestBody) });
+    /**
+     * Applies a history strategy before every request of this session, including those made by
+     * `step()`, `run()` and `complete()`. Only the request is affected; returned histories stay complete.
+     * The token budget is `maxTokens`, or else the profile's context window minus `reserveTokens`
+     * (by default the `length` parameter, or 4096) and the size of the system message and tools.
+     * A request fails if that leaves no room for the history.
+     * @param {ContextStrategy | null} strategy - A strategy from `ContextStrategies` or a custom one; `null` removes it.
+     * @param {ContextOptions} [options={}] - The token budget.
+     * @returns {this}
+     */
+    withContextStrategy(strategy, options = {}) {
+        if (strategy && options.maxTokens === undefined && getContextWindow(this.#profile) === undefined) {
+            throw new Error(`The context window of profile '${this.#profile}' is unknown; pass \`maxTokens\` to withContextStrategy().`);
+        }
+        this.#context = strategy ? { strategy, ...options } : null;
+        return this;
+    }
+    /**
+     * Grounds every request of this session in a vector index. Before each request the latest
+     * user message of the caller's input is embedded with the `embed` function (by default the
+     * index's), the `topK` closest entries are retrieved and inserted as a system message just
+     * before that user message. Prompts the SDK adds itself, such as the JSON instruction of
+     * `generateObject()` or the `autoContinue` prompt, are never used as the query. The entries
+     * are reported as citations: a `citations` stream event, and a `citations` field in the
+     * results of `stream()`, `complete()`, `step()` and `runDetailed()`.
+     * @param {VectorIndex | null} index - The index to search; `null` turns retrieval off.
+     * @param {RetrievalOptions} [options={}] - Search, embedding and formatting options.
+     * @returns {this}
+     * @throws {Error} If neither the options nor the index provide an `embed` function.
+     */
+    withRetrieval(index, options = {}) {
+        const embed = options.embed ?? index?.embed;
+        if (index && typeof embed !== 'function') throw new Error('withRetrieval() requires an `embed` function, in its options or in those of the VectorIndex.');
+        this.#retrieval = index ? { topK: 4, format: formatRetrievedContext, ...options, embed, index, cache: { query: null, citations: [] } } : null;
+        return this;
+    }
+    /**
+     * Sends the conversation and streams the model's response as it is generated.
+     * The generator's return value summarizes the stream (tool calls and finish reason).
+     *
+     * @param {string | ChatMessage[]} initialInput - A user prompt or the full message history.
+     * @param {{ signal?: AbortSignal }} [options={}] - Request options.
+     * @returns {AsyncGenerator<StreamEvent, StreamSummary>} An async generator of stream events.
+     */
+    async* stream(initialInput, options = {}) {
+        const history = Array.isArray(initialInput) ? initialInput : [createUserMessage(initialInput)];
+        const query = this.#retrieval?.query !== undefined ? this.#retrieval.query : retrievalQueryOf(history);
+        const messages = await this.#applyContextStrategy(history, options.signal);
+        const citations = await this.#retrieve(query, options.signal);
+        const requestBody = this.#buildRequestBody(messages, citations, query);
+        const scope = this.#httpClient.createRequestScope(options.signal);
+        let response;
+        try {
+            response = await this.#httpClient._fetchWithRetry('/llm/chat/stream/v8', { method: 'POST', body: JSON.stringify(requestBody), scope });
+        } catch (e) {
+            scope.dispose();
+            throw e;
+        }
         const parser = new SSEParser();
-        const stream = response.body.pipeThrough(new TextDecoderStream());
-        let buffer = '';
-        for await (const chunk of stream) {
-            buffer += chunk;
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-            for (const line of lines) { if (line.trim()) { const event = parser.parseLine(line); if (event) yield event; } }
-        }
-        if (buffer.trim()) { const event = parser.parseLine(buffer); if (event) yield event; }
+        try {
+            if (citations) yield { type: 'citations', citations };
+            for await (const sseEvent of readSSEEvents(response, scope)) {
+                yield* parser.parseEvent(sseEvent);
+            }
+        } finally {
+            // A consumer that stops at the citations event leaves the body unread. Once readSSEEvents()
+            // has taken the body it releases it itself, and this cancel is rejected and ignored.
+            await response.body?.cancel().catch(() => {});
+            scope.dispose();
+        }
         const finalResult = parser.getFinalResult();
-        if (finalResult.toolCalls.length > 0) { yield { type: 'tool_calls', calls: finalResult.toolCalls }; }
+        for (const choice of finalResult.choices) {
+            if (choice.toolCalls.length > 0) yield { type: 'tool_calls', calls: choice.toolCalls, choiceIndex: choice.index };
+        }
+        return { ...finalResult, citations: citations ?? [] };
+    }
+
+    /**
+     * Sends the conversation and waits for the complete response.
+     * Built on `stream()`, it aggregates the text, tool calls, finish reason and quota data.
+     * Requested tools are not executed; use `run()` for that. When several choices were
+     * requested, all of them are listed in `choices` and the top-level fields describe choice 0.
+     *
+     * @param {string | ChatMessage[]} initialInput - A user prompt or the full message history.
+     * @param {{ signal?: AbortSignal }} [options={}] - Request options.
+     * @returns {Promise<CompletionResult>} The aggregated response.
+     */
+    async complete(initialInput, options = {}) {
+        const startedAt = Date.now();
+        const messages = Array.isArray(initialInput) ? [...initialInput] : [createUserMessage(initialInput)];
+        const choices = new Map();
+        let quota = null;
+        let citations = [];
+        for await (const event of this.stream(messages, options)) {
+            if (event.type === 'quota') quota = event.data;
+            else if (event.type === 'citations') citations = event.citations;
+            else accumulateChoice(choices, event);
+        }
+        const sortedChoices = Array.from(choices.values()).sort((a, b) => a.index - b.index);
+        const { text, toolCalls, finishReason } = choices.get(0) ?? { text: '', toolCalls: [], finishReason: null };
+        if (text || toolCalls.length === 0) messages.push(createAssistantTextMessage(text));
+        for (const call of toolCalls) messages.push(createAssistantToolCallMessage(call.id, call.name, call.arguments));
+        return { text, toolCalls, finishReason, quota, citations, messages, choices: sortedChoices, latencyMs: Date.now() - startedAt };
     }
 
     /**
@@ -390,43 +1554,61 @@ export class ChatSession {
      * back to the caller whenever the model requests to use tools, allowing for
      * inspection, confirmation, or modification before proceeding.
      *
+     * When `autoContinue` is set and the response is cut off by the `length` parameter, the
+     * partial answer is sent back with a request to continue, and the pieces are joined into
+     * a single assistant message.
+     *
+     * When several choices are requested with `numberOfChoices()`, `choice` selects the one the
+     * conversation continues with: either an index or a (possibly async) function that receives
+     * every candidate and returns the index. Defaults to choice 0. An index that is not in the
+     * response throws a RangeError.
+     *
+     * Tool results passed back with `.next(results)` are matched to the calls by `id` (results
+     * without one are matched by position). Calls left unanswered are recorded as not executed.
+     * A result that carries `arguments` replaces the model's arguments in the recorded call.
+     * Text the model streams before calling tools is kept in the history and reported as
+     * `commentary`; `content` is only set when the step ends without tool calls.
+     *
      * @param {ChatMessage[]} messages - The current conversation history.
-     * @param {{ forceTextResponse?: boolean }} [options={}] - Options for this step. If true, forces the model to generate a text response without calling tools.
+     * @param {{ forceTextResponse?: boolean, signal?: AbortSignal, autoContinue?: boolean | AutoContinueOptions, choice?: number | ChoiceSelector }} [options={}] - Options for this step. `forceTextResponse` forces the model to generate a text response without calling tools; `signal` cancels the underlying request; `autoContinue` resumes truncated responses; `choice` picks among multiple candidates.
      * @returns {AsyncGenerator<AgentToolRequest, AgentTextResponse, ToolExecutionResult[]>} An async generator that yields tool requests and returns a final text response.
      */
     async* step(messages, options = {}) {
         const eventEmitter = this.#httpClient.getEventEmitter();
-        let sessionForStream = this;
+        // Continuation prompts must not become the retrieval query.
+        let sessionForStream = this.#pinRetrievalQuery(messages);
 
         // If forced, create a temporary session configuration that prevents tool use.
         if (options.forceTextResponse) {
-            sessionForStream = new ChatSession(this.#httpClient, this.#profile)
-                .withTools(this.#tools)
-                .withSystemMessage(this.#systemMessage)
-                .withParameters(builder => {
-                    // Apply original parameters, then override tool choice.
-                    const originalParams = this.#parameters;
-                    for (const [key, value] of Object.entries(originalParams)) {
-                        const methodName = key.toLowerCase().replace(/_(\w)/g, (_, p1) => p1.toUpperCase());
-                        if (typeof builder[methodName] === 'function') {
-                            builder[methodName](value);
-                        }
-                    }
-                    return builder.toolChoiceNone(true);
-                });
+            sessionForStream = sessionForStream.#derive({ parameters: { ...this.#parameters, TOOL_CHOICE_NONE: true } });
         }
 
-        const stream = sessionForStream.stream(messages);
+        const autoContinue = options.autoContinue
+            ? { ...DEFAULT_AUTO_CONTINUE, ...(options.autoContinue === true ? {} : options.autoContinue) }
+            : null;
         let toolCalls = [];
         let assistantResponse = '';
+        let finishReason = null;
+        let quota = null;
+        let citations = [];
         let finalMessages = [...messages];
+        let requestMessages = messages;
 
-        for await (const event of stream) {
-            if (event.type === 'text') {
-                assistantResponse += event.content;
-            } else if (event.type === 'tool_calls') {
-                toolCalls = event.calls;
+        for (let continuations = 0; ; continuations++) {
+            const stream = sessionForStream.stream(requestMessages, { signal: options.signal });
+            const choices = new Map();
+            for await (const event of stream) {
+                if (event.type === 'quota') quota = event.data;
+                else if (event.type === 'citations') citations = event.citations;
+                accumulateChoice(choices, event);
             }
+            const selected = await selectChoice(choices, options.choice);
+            assistantResponse += selected.text;
+            toolCalls = selected.toolCalls;
+            finishReason = selected.finishReason;
+            if (!autoContinue || finishReason !== 'length' || toolCalls.length > 0 || continuations >= autoContinue.maxContinuations) break;
+            eventEmitter.emit('response_continuation', { continuation: continuations + 1, maxContinuations: autoContinue.maxContinuations });
+            requestMessages = [...messages, createAssistantTextMessage(assistantResponse), createUserMessage(autoContinue.prompt)];
         }
 
         if (toolCalls.length > 0) {
@@ -435,15 +1617,33 @@ export class ChatSession {
             // Yield control to the user, passing the tool calls.
             // The user is now responsible for executing them and passing the results
             // back via the generator's .next(results) method.
-            const toolExecutionResults = yield { type: 'tool_request', calls: toolCalls };
+            const toolExecutionResults = (yield { type: 'tool_request', calls: toolCalls, commentary: assistantResponse }) ?? [];
 
             eventEmitter.emit('tool_finish', { results: toolExecutionResults });
 
+            // Text streamed before the tool calls belongs to the same assistant turn.
+            if (assistantResponse) finalMessages.push(createAssistantTextMessage(assistantResponse));
+
             // Append the model's tool request and the user-provided results to history.
-            toolExecutionResults.forEach((result, index) => {
-                const call = toolCalls[index];
-                const resultValue = result.success ? result.result : { error: result.error || 'Unknown execution error' };
-                finalMessages.push(createAssistantToolCallMessage(call.id, call.name, call.arguments));
+            // Results are matched to calls by id; a result without an id falls back to its position.
+            // Every call gets a result, so the transcript stays valid even if some were not answered.
+            const resultsById = new Map(toolExecutionResults.filter(result => result?.id != null).map(result => [result.id, result]));
+            toolCalls.forEach((call, index) => {
+                let result = resultsById.get(call.id);
+                const positional = toolExecutionResults[index];
+                if (!result && positional && positional.id == null && (positional.name === undefined || positional.name === call.name)) {
+                    result = positional;
+                }
+                if (!result) {
+                    eventEmitter.emit('tool_warning', { message: `No result was provided for tool call '${call.id}' (${call.name}); reporting it as not executed.` });
+                    result = { id: call.id, name: call.name, success: false, error: 'The tool call was not executed.' };
+                }
+                const resultValue = result.success ? result.result : {
+                    error: result.error || 'Unknown execution error',
+                    ...(result.validationErrors && { validationErrors: result.validationErrors }),
+                };
+                // Record the arguments that actually ran if they were changed before execution.
+                finalMessages.push(createAssistantToolCallMessage(call.id, call.name, result.arguments ?? call.arguments));
                 finalMessages.push(createToolResultMessage(call.id, call.name, JSON.stringify(resultValue)));
             });
         } else {
@@ -452,60 +1652,373 @@ export class ChatSession {
             finalMessages.push(createAssistantTextMessage(assistantResponse));
         }
 
-        // Return the final state.
-        return { type: 'text_response', content: assistantResponse, messages: finalMessages };
+        // Return the final state. After a tool turn the text is commentary, not an answer.
+        const usedTools = toolCalls.length > 0;
+        return {
+            type: 'text_response',
+            content: usedTools ? '' : assistantResponse,
+            commentary: usedTools ? assistantResponse : '',
+            usedTools,
+            messages: finalMessages,
+            finishReason,
+            quota,
+            citations,
+        };
     }
 
     /**
      * Runs the agentic loop automatically until a final text response is generated.
-     * This is the "black-box" method, providing maximum convenience. It is now a
-     * wrapper around the more powerful `step()` generator.
+     * This is the "black-box" method, providing maximum convenience. It is a wrapper
+     * around `runDetailed()` that returns only the final text.
      *
      * @param {string | ChatMessage[]} initialInput - The initial user prompt or message history.
-     * @param {{ maxIterations?: number }} [options={}] - Configuration for the run.
+     * @param {RunOptions} [options={}] - Configuration for the run.
      * @returns {Promise<string>} The final text response from the model.
      */
     async run(initialInput, options = {}) {
-        const { maxIterations = 5 } = options;
+        const { text, stoppedBecause } = await this.runDetailed(initialInput, options);
+        if (!text && stoppedBecause === 'max_iterations') {
+            return "The model reached the maximum tool iteration limit and could not provide a final text response.";
+        }
+        return text;
+    }
+
+    /**
+     * Runs the agentic loop like `run()`, but reports everything that happened: the full message
+     * history, every tool invocation with its result, the number of model turns, why the loop
+     * stopped and the latest quota metadata.
+     *
+     * On the last allowed iteration the model is forced to answer in text; `stoppedBecause` is
+     * then `max_iterations` rather than `completed`, and `text` may be empty.
+     *
+     * Tool calls can be reviewed before they execute with `onToolCalls`: it receives the calls to
+     * tools marked `requiresApproval` (or every call, if no tool is marked) and returns a decision
+     * per call, in order. A missing decision is an error rather than an approval. Rejected calls are
+     * not executed; the model receives the rejection as their result.
+     *
+     * @param {string | ChatMessage[]} initialInput - The initial user prompt or message history.
+     * @param {RunOptions} [options={}] - Configuration for the run.
+     * @returns {Promise<RunResult>} The final text together with the transcript and usage report.
+     * @throws {Error} If a tool is marked `requiresApproval` and no `onToolCalls` handler is given,
+     * or if the handler does not return a decision for every call it was given.
+     */
+    async runDetailed(initialInput, options = {}) {
+        const { maxIterations = 5, signal, autoContinue, choice, onToolCalls } = options;
         let messages = Array.isArray(initialInput) ? [...initialInput] : [createUserMessage(initialInput)];
         const eventEmitter = this.#httpClient.getEventEmitter();
+        if (!onToolCalls && this.#tools.some(tool => tool.requiresApproval)) {
+            throw new Error('Tools marked `requiresApproval` need an `onToolCalls` handler to run.');
+        }
+        const toolInvocations = [];
+        let quota = null;
+        const citations = new Map();
+        const report = (text, iterations, stoppedBecause) => ({ text, messages, toolInvocations, iterations, stoppedBecause, quota, citations: Array.from(citations.values()) });
+        const record = (response) => {
+            messages = response.messages;
+            quota = response.quota ?? quota;
+            for (const citation of response.citations) if (!citations.has(citation.id)) citations.set(citation.id, citation);
+        };
 
         for (let i = 0; i < maxIterations; i++) {
             const isLastIteration = (i === maxIterations - 1);
             if (isLastIteration) {
                 eventEmitter.emit('tool_warning', { message: `Maximum tool iteration limit (${maxIterations}) reached. Forcing model to generate final text response.` });
             }
+            // A text answer on the last turn was forced, unless that turn is also the first.
+            const stoppedBecause = isLastIteration && i > 0 ? 'max_iterations' : 'completed';
 
-            const stepIterator = this.step(messages, { forceTextResponse: isLastIteration });
+            const stepIterator = this.step(messages, { forceTextResponse: isLastIteration, signal, autoContinue, choice });
             let currentStep = await stepIterator.next();
 
             if (currentStep.done) {
                 // The model provided a text response on the first try.
-                return currentStep.value.content;
+                record(currentStep.value);
+                return report(currentStep.value.content, i + 1, stoppedBecause);
             }
 
             // The model yielded a tool request.
             const { calls } = currentStep.value;
-            const toolResults = await executeTools(calls, this.#tools);
+            const toolResults = await this.#executeApprovedTools(calls, messages, onToolCalls, signal);
+            calls.forEach((call, index) => {
+                const result = toolResults[index];
+                const executedCall = result?.arguments === undefined ? call : { ...call, arguments: result.arguments };
+                toolInvocations.push({ iteration: i + 1, call: executedCall, result });
+            });
 
             // Resume the generator, passing the tool results back in.
             currentStep = await stepIterator.next(toolResults);
 
             // After providing results, the generator will run to completion for this turn.
             // We update our message history from its final return value.
-            messages = currentStep.value.messages;
+            record(currentStep.value);
+
+            // The model used tools this turn, so it gets another turn to respond to the results.
+        }
 
-            // If the final content is not empty, the model has finished its tool use.
-            if (currentStep.value.content) {
-                return currentStep.value.content;
+        return report('', maxIterations, 'max_iterations');
+    }
+
+    /** Executes tool calls, first passing those that need approval through the `onToolCalls` hook. */
+    async #executeApprovedTools(calls, messages, onToolCalls, signal) {
+        if (!onToolCalls) return executeTools(calls, this.#tools, { signal });
+        const toolMap = new Map(this.#tools.map(tool => [tool.name, tool]));
+        const reviewAll = !this.#tools.some(tool => tool.requiresApproval);
+        const pending = calls.filter(call => reviewAll || toolMap.get(call.name)?.requiresApproval);
+        const decisions = new Map();
+        if (pending.length > 0) {
+            const answer = await onToolCalls(pending, { messages });
+            if (!Array.isArray(answer)) {
+                throw new Error('`onToolCalls` must return an array with one decision per tool call.');
             }
+            pending.forEach((call, i) => {
+                if (answer[i] == null) throw new Error(`\`onToolCalls\` returned no decision for tool call '${call.id}' (${call.name}).`);
+                decisions.set(call, answer[i]);
+            });
         }
 
-        return "The model reached the maximum tool iteration limit and could not provide a final text response.";
+        const results = new Array(calls.length);
+        const approved = [];
+        calls.forEach((call, index) => {
+            // Calls that did not need review have no decision and run as requested.
+            let decision = decisions.get(call) ?? { type: 'approve' };
+            if (decision === true) decision = { type: 'approve' };
+            if (decision === false) decision = { type: 'reject' };
+            switch (decision.type) {
+                case 'approve':
+                    approved.push({ index, call });
+                    break;
+                case 'edit': {
+                    const args = typeof decision.arguments === 'string' ? decision.arguments : JSON.stringify(decision.arguments ?? {});
+                    approved.push({ index, call: { ...call, arguments: args } });
+                    break;
+                }
+                case 'reject':
+                    results[index] = {
+                        id: call.id,
+                        name: call.name,
+                        success: false,
+                        rejected: true,
+                        error: decision.reason ? `The user rejected this tool call: ${decision.reason}` : 'The user rejected this tool call.',
+                    };
+                    break;
+                default:
+                    throw new Error(`Unknown tool call decision type '${decision.type}'.`);
+            }
+        });
+        const executed = await executeTools(approved.map(({ call }) => call), this.#tools, { signal });
+        executed.forEach((result, i) => {
+            const { index, call } = approved[i];
+            // Edited calls report the arguments they ran with, so the transcript records those.
+            results[index] = call.arguments === calls[index].arguments ? result : { ...result, arguments: call.arguments };
+        });
+        return results;
     }
 
-    #buildRequestBody(messages) {
+    /**
+     * Generates a JSON value that conforms to a JSON Schema.
+     * The strategy depends on what the profile supports: `json` passes the schema as the
+     * response format, `tool` forces a call to a synthetic tool whose parameters are the schema,
+     * and `prompt` only describes the schema in the conversation. The result is validated,
+     * and on failure the model is shown the validation errors and asked again, up to
+     * `maxRepairs` times.
+     *
+     * @param {string | ChatMessage[]} initialInput - The user prompt or message history.
+     * @param {object} schema - The JSON Schema the result must satisfy.
+     * @param {GenerateObjectOptions} [options={}] - Generation options.
+     * @returns {Promise<GenerateObjectResult>} The validated object and how it was obtained.
+     * @throws {SchemaValidationError} If no valid object was produced after all repairs.
+     */
+    async generateObject(initialInput, schema, options = {}) {
+        const { maxRepairs = 2, name = 'respond_with_object', description = 'Respond with an object matching the given schema.', signal } = options;
+        const mode = options.mode && options.mode !== 'auto' ? options.mode : this.#structuredOutputMode();
+        const session = this.#pinRetrievalQuery(initialInput).#structuredSession(mode, schema, name, description);
+        let messages = this.#structuredMessages(initialInput, mode, schema);
+
+        let errors = [];
+        let output = '';
+        for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+            const result = await session.complete(messages, { signal });
+            const call = result.toolCalls.find(c => c.name === name);
+            output = mode === 'tool' ? (call?.arguments ?? result.text) : result.text;
+            let object;
+            try {
+                object = mode === 'tool' ? JSON.parse(call?.arguments || 'null') : extractJson(output);
+                errors = validateJsonSchema(object, schema).errors;
+            } catch (e) {
+                errors = [`$: the response is not valid JSON (${e.message})`];
+            }
+            if (errors.length === 0) return { object, mode, attempts: attempt, messages: result.messages };
+
+            const feedback = `The response did not match the required JSON Schema:\n- ${errors.join('\n- ')}\nFix these problems and respond again.`;
+            if (mode === 'tool' && call) {
+                messages = [...messages, createAssistantToolCallMessage(call.id, call.name, call.arguments), createToolResultMessage(call.id, call.name, JSON.stringify({ error: feedback }))];
+            } else {
+                messages = [...messages, createAssistantTextMessage(output), createUserMessage(feedback)];
+            }
+        }
+        throw new SchemaValidationError(`The model did not produce an object matching the schema after ${maxRepairs + 1} attempts.`, errors, output);
+    }
+
+    /**
+     * Streams a JSON response as progressively more complete partial objects.
+     * Uses the same strategies as `generateObject()`; partial values are parsed from the text
+     * (or, in `tool` mode, from the streamed tool arguments) with `parsePartialJson()`.
+     * A `partial` event is yielded whenever the parsed value changes, followed by a single
+     * `object` event carrying the final value, validated against the schema if one is given.
+     * There is no automatic repair while streaming.
+     *
+     * @param {string | ChatMessage[]} initialInput - The user prompt or message history.
+     * @param {object} [schema] - The JSON Schema the final object must satisfy.
+     * @param {GenerateObjectOptions} [options={}] - Generation options (`maxRepairs` is ignored).
+     * @returns {AsyncGenerator<ObjectStreamEvent, any>} Partial objects, then the final object, which is also the return value.
+     * @throws {SchemaValidationError} If the final object is not valid JSON or does not match the schema.
+     */
+    async* streamObject(initialInput, schema, options = {}) {
+        const { name = 'respond_with_object', description = 'Respond with an object matching the given schema.', signal } = options;
+        const mode = options.mode && options.mode !== 'auto' ? options.mode : this.#structuredOutputMode();
+        const session = this.#pinRetrievalQuery(initialInput).#structuredSession(mode, schema, name, description);
+        const messages = this.#structuredMessages(initialInput, mode, schema);
+
+        let text = '';
+        let toolArguments = null;
+        let lastSerialized;
+        for await (const event of session.stream(messages, { signal })) {
+            let partial;
+            if (mode === 'tool') {
+                if (event.type !== 'tool_call_delta' || event.name !== name || (event.choiceIndex ?? 0) !== 0) continue;
+                toolArguments = event.arguments;
+                partial = event.partialArguments;
+            } else {
+                if (event.type !== 'text' || (event.choiceIndex ?? 0) !== 0) continue;
+                text += event.content;
+                const jsonStart = text.search(/[[{]/);
+                if (jsonStart === -1) continue;
+                partial = parsePartialJson(text.slice(jsonStart).replace(/```\s*$/, ''));
+            }
+            const serialized = partial === undefined ? undefined : stableStringify(partial);
+            if (serialized === undefined || serialized === lastSerialized) continue;
+            lastSerialized = serialized;
+            yield { type: 'partial', object: partial };
+        }
+
+        const output = mode === 'tool' ? (toolArguments ?? text) : text;
+        let object;
+        try {
+            object = mode === 'tool' ? JSON.parse(toolArguments || 'null') : extractJson(text);
+        } catch (e) {
+            throw new SchemaValidationError('The streamed response is not valid JSON.', [`$: ${e.message}`], output);
+        }
+        if (schema) {
+            const { errors } = validateJsonSchema(object, schema);
+            if (errors.length > 0) throw new SchemaValidationError('The streamed object does not match the schema.', errors, output);
+        }
+        yield { type: 'object', object };
+        return object;
+    }
+
+    /** Configures a session for one of the structured-output strategies. */
+    #structuredSession(mode, schema, name, description) {
+        if (mode === 'json') {
+            return this.#derive({ parameters: { ...this.#parameters, RESPONSE_FORMAT: schema ? { type: 'json', schema } : { type: 'json' } } });
+        }
+        if (mode === 'tool') {
+            return this.#derive({
+                tools: [{ name, description, parameters: { schema: schema ?? { type: 'object' } } }],
+                parameters: { ...this.#parameters, TOOL_CHOICE_NAMED: { type: 'function', function: { name } } },
+            });
+        }
+        return this;
+    }
+
+    #structuredMessages(initialInput, mode, schema) {
+        const messages = Array.isArray(initialInput) ? [...initialInput] : [createUserMessage(initialInput)];
+        if (mode !== 'tool') {
+            messages.push(createUserMessage(schema ? `Respond only with JSON that conforms to this JSON Schema:\n${JSON.stringify(schema)}` : 'Respond only with JSON.'));
+        }
+        return messages;
+    }
+
+    /** Picks the best structured-output strategy the profile supports. */
+    #structuredOutputMode() {
+        const supported = modelProfiles[this.#profile]?.params;
+        if (!supported || supported.has(LLMParameters.RESPONSE_FORMAT.fqdn)) return 'json';
+        if (supported.has(LLMParameters.TOOLS.fqdn) && supported.has(LLMParameters.TOOL_CHOICE_NAMED.fqdn)) return 'tool';
+        return 'prompt';
+    }
+
+    /**
+     * Creates a session with the same profile and system message but different tools or parameters.
+     * The history strategy and retrieval settings carry over unless overridden.
+     */
+    #derive({ tools = this.#tools, parameters = this.#parameters, context = this.#context, retrieval = this.#retrieval }) {
+        const session = new ChatSession(this.#httpClient, this.#profile).withTools(tools).withSystemMessage(this.#systemMessage);
+        session.#parameters = parameters;
+        session.#context = context;
+        session.#retrieval = retrieval;
+        return session;
+    }
+
+    /** Runs the configured history strategy over the messages about to be sent. */
+    async #applyContextStrategy(messages, signal) {
+        if (!this.#context) return messages;
+        const { strategy, maxTokens, reserveTokens } = this.#context;
+        let budget = maxTokens;
+        if (budget === undefined) {
+            const reserve = reserveTokens ?? this.#parameters.LENGTH ?? DEFAULT_CONTEXT_RESERVE_TOKENS;
+            const toolDefinitions = this.#tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+            budget = getContextWindow(this.#profile) - reserve
+                - (this.#systemMessage ? estimateTokens(this.#systemMessage) : 0)
+                - (this.#tools.length > 0 ? estimateTokens(JSON.stringify(toolDefinitions)) : 0);
+        }
+        if (!(budget > 0)) {
+            throw new Error(`No room is left for the history of profile '${this.#profile}': the token budget is ${budget}. Lower \`reserveTokens\` or the \`length\` parameter, or pass \`maxTokens\` to withContextStrategy().`);
+        }
+        // Summaries are written without the strategy and without calling tools: tool choice is
+        // disabled where the profile supports it, otherwise the tools are left out.
+        const supportedParams = modelProfiles[this.#profile]?.params;
+        const canDisableTools = !supportedParams || supportedParams.has(LLMParameters.TOOL_CHOICE_NONE.fqdn);
+        const session = this.#tools.length > 0 && canDisableTools
+            ? this.#derive({ parameters: { TOOL_CHOICE_NONE: true }, context: null, retrieval: null })
+            : this.#derive({ tools: [], parameters: {}, context: null, retrieval: null });
+        const before = estimateTokens(messages);
+        const result = await strategy(messages, { maxTokens: budget, profile: this.#profile, session, signal, estimateTokens });
+        const after = estimateTokens(result);
+        if (after < before) {
+            this.#httpClient.getEventEmitter().emit('context_trimmed', { profile: this.#profile, messagesBefore: messages.length, messagesAfter: result.length, tokensBefore: before, tokensAfter: after });
+        }
+        return result;
+    }
+
+    /**
+     * Returns a session whose retrieval query is taken from `input`, the caller's input, so that
+     * prompts the SDK appends to the messages later are not searched for.
+     */
+    #pinRetrievalQuery(input) {
+        if (!this.#retrieval || this.#retrieval.query !== undefined) return this;
+        return this.#derive({ retrieval: { ...this.#retrieval, query: retrievalQueryOf(input) } });
+    }
+
+    /** Finds the index entries relevant to the query, reusing them while it is unchanged. */
+    async #retrieve(query, signal) {
+        const retrieval = this.#retrieval;
+        if (!retrieval || !query) return null;
+        if (retrieval.cache.query !== query) {
+            const [vector] = await retrieval.embed([query], { signal });
+            if (!vector) throw new Error('The `embed` function returned no vector for the retrieval query.');
+            const matches = retrieval.index.search(vector, { topK: retrieval.topK, filter: retrieval.filter, minScore: retrieval.minScore });
+            Object.assign(retrieval.cache, { query, citations: matches.map((match, i) => ({ number: i + 1, ...match })) });
+        }
+        return retrieval.cache.citations;
+    }
+
+    #buildRequestBody(messages, citations = null, query = null) {
         const allMessages = [...messages];
+        if (citations?.length > 0) {
+            // The sources go just before the message they were retrieved for, or first if the
+            // history strategy dropped it.
+            const queryMessage = allMessages.findLastIndex(message => message.type === 'user_message' && message.content === query);
+            allMessages.splice(Math.max(queryMessage, 0), 0, createSystemMessage(this.#retrieval.format(citations)));
+        }
         if (this.#systemMessage && !messages.some(m => m.type === 'system_message')) allMessages.unshift(createSystemMessage(this.#systemMessage));
         const requestData = { profile: this.#profile, prompt: `js-sdk-prompt-${Date.now()}`, chat: { messages: allMessages } };
         const parametersData = buildParametersArray(this.#parameters, this.#tools, this.#profile, this.#httpClient.getEventEmitter());
@@ -514,6 +2027,127 @@ export class ChatSession {
     }
 }
 
+/**
+ * A multi-turn conversation on top of a `ChatSession`. Each `send()` runs the session's agentic
+ * loop over the whole history (so configured tools are executed) and records the new messages.
+ * A conversation can be snapshotted with `toJSON()`/`fromJSON()`, or bound to a JSONL file
+ * (one message per line) with `open()` or `save()`, after which every change is persisted.
+ * Calls that change the history run one at a time, in the order they were made.
+ */
+export class Conversation {
+    #session; #messages; #path = null; #queue = Promise.resolve();
+
+    /**
+     * @param {ChatSession} session - The configured session used to send messages.
+     * @param {{ messages?: ChatMessage[] }} [options={}] - An optional initial history.
+     */
+    constructor(session, options = {}) {
+        if (!(session instanceof ChatSession)) throw new Error('A Conversation requires a ChatSession.');
+        this.#session = session;
+        this.#messages = [...(options.messages ?? [])];
+    }
+
+    /**
+     * Opens a conversation persisted in a JSONL file, creating it on the first write if it does not exist.
+     * @param {ChatSession} session - The configured session used to send messages.
+     * @param {string} path - The JSONL file holding the history.
+     * @returns {Promise<Conversation>} The conversation, bound to the file.
+     */
+    static async open(session, path) {
+        let text = '';
+        try { text = await fs.readFile(path, 'utf-8'); }
+        catch (e) { if (e.code !== 'ENOENT') throw e; }
+        const messages = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        const conversation = new Conversation(session, { messages });
+        conversation.#path = path;
+        return conversation;
+    }
+
+    /**
+     * Restores a conversation from the output of `toJSON()`.
+     * @param {ChatSession} session - The configured session used to send messages.
+     * @param {string | { messages: ChatMessage[] }} data - The snapshot, as an object or a JSON string.
+     * @returns {Conversation} The restored conversation.
+     */
+    static fromJSON(session, data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!Array.isArray(parsed?.messages)) throw new Error('Conversation data must contain a `messages` array.');
+        return new Conversation(session, { messages: parsed.messages });
+    }
+
+    /** @returns {ChatMessage[]} A copy of the message history. */
+    get history() { return this.#messages.map(message => ({ ...message })); }
+
+    /** @returns {string | null} The JSONL file the conversation is persisted to, if any. */
+    get path() { return this.#path; }
+
+    /**
+     * Sends a user message and records the model's reply, including any tool calls and results.
+     * If the request fails, the history is left unchanged.
+     * @param {string | ChatMessage | ChatMessage[]} input - The user's text, or the message(s) to add.
+     * @param {RunOptions} [options={}] - Options passed to `ChatSession.runDetailed()`.
+     * @returns {Promise<string>} The model's final text response.
+     */
+    send(input, options = {}) {
+        return this.#enqueue(async () => {
+            const added = typeof input === 'string' ? [createUserMessage(input)] : [].concat(input);
+            const result = await this.#session.runDetailed([...this.#messages, ...added], options);
+            const newMessages = result.messages.slice(this.#messages.length);
+            if (this.#path) await fs.appendFile(this.#path, toJsonLines(newMessages), 'utf-8');
+            this.#messages.push(...newMessages);
+            return result.text;
+        });
+    }
+
+    /**
+     * Removes the last turn: the latest user input and everything that followed it.
+     * @returns {Promise<ChatMessage[]>} The removed messages (empty if there was nothing to undo).
+     */
+    undo() {
+        return this.#enqueue(async () => {
+            const isUserInput = message => message.type === 'user_message' || message.type === 'media_message';
+            const start = this.#messages.findLastIndex((message, i) => isUserInput(message) && (i === 0 || !isUserInput(this.#messages[i - 1])));
+            if (start === -1) return [];
+            const remaining = this.#messages.slice(0, start);
+            if (this.#path) await writeFileAtomic(this.#path, toJsonLines(remaining));
+            return this.#messages.splice(start);
+        });
+    }
+
+    /**
+     * Creates an independent copy of the conversation on the same session. The copy is not
+     * bound to a file; call `save()` on it to persist it.
+     * @returns {Conversation} The new conversation.
+     */
+    fork() {
+        return new Conversation(this.#session, { messages: this.history });
+    }
+
+    /**
+     * Writes the full history to a JSONL file and persists all later changes there.
+     * @param {string} [path=this.path] - The file to write.
+     * @returns {Promise<void>}
+     */
+    async save(path = this.#path) {
+        if (!path) throw new Error('A file path is required to save a conversation.');
+        return this.#enqueue(async () => {
+            await writeFileAtomic(path, toJsonLines(this.#messages));
+            this.#path = path;
+        });
+    }
+
+    /** @returns {{ messages: ChatMessage[] }} A JSON-serializable snapshot of the conversation. */
+    toJSON() {
+        return { messages: this.history };
+    }
+
+    #enqueue(task) {
+        const result = this.#queue.then(task);
+        this.#queue = result.catch(() => {});
+        return result;
+    }
+}
+
 export class ChatAPI {
     #httpClient;
     constructor(httpClient) { this.#httpClient = httpClient; }
@@ -529,20 +2163,29 @@ export class TaskAPI {
 
     /**
      * Retrieves the list of available task IDs.
+     * @param {{ signal?: AbortSignal }} [options={}] - Request options.
      * @returns {Promise<{ids: string[]}>} A promise that resolves to the task roster.
      */
-    async roster() {
-        const response = await this.#httpClient._fetchWithRetry('/task/roster', { method: 'GET' });
-        return response.json();
+    async roster(options = {}) {
+        const scope = this.#httpClient.createRequestScope(options.signal);
+        try {
+            const response = await this.#httpClient._fetchWithRetry('/task/roster', { method: 'GET', scope });
+            return await response.json();
+        } catch (e) {
+            throw scope.signal.aborted ? scope.signal.reason : e;
+        } finally {
+            scope.dispose();
+        }
     }
 
     /**
      * Executes a task in a streaming fashion.
      * @param {string} id - The ID of the task to execute, e.g., "code-generate:default".
      * @param {object} parameters - The parameters for the task.
+     * @param {{ signal?: AbortSignal }} [options={}] - Request options.
      * @returns {AsyncGenerator<TaskStreamEvent>} An async iterator for the task stream events.
      */
-    async* stream(id, parameters) {
+    async* stream(id, parameters, options = {}) {
         const { taskId, tag } = this.#splitId(id);
         const headers = {};
         if (tag) {
@@ -550,28 +2193,23 @@ export class TaskAPI {
         }
 
         const requestBody = { parameters };
-        const response = await this.#httpClient._fetchWithRetry(`/task/stream/v4/${taskId}`, {
-            method: 'POST',
-            body: JSON.stringify(requestBody),
-            headers: headers
-        });
+        const scope = this.#httpClient.createRequestScope(options.signal);
+        let response;
+        try {
+            response = await this.#httpClient._fetchWithRetry(`/task/stream/v4/${taskId}`, {
+                method: 'POST',
+                body: JSON.stringify(requestBody),
+                headers: headers,
+                scope
+            });
+        } catch (e) {
+            scope.dispose();
+            throw e;
+        }
 
         const parser = new TaskSSEParser();
-        const stream = response.body.pipeThrough(new TextDecoderStream());
-        let buffer = '';
-        for await (const chunk of stream) {
-            buffer += chunk;
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-            for (const line of lines) {
-                if (line.trim()) {
-                    const event = parser.parseLine(line);
-                    if (event) yield event;
-                }
-            }
-        }
-        if (buffer.trim()) {
-            const event = parser.parseLine(buffer);
+        for await (const sseEvent of readSSEEvents(response, scope)) {
+            const event = parser.parseEvent(sseEvent);
             if (event) yield event;
         }
     }
@@ -580,10 +2218,11 @@ export class TaskAPI {
      * Executes a task and waits for the complete result.
      * @param {string} id - The ID of the task to execute.
      * @param {object} parameters - The parameters for the task.
+     * @param {{ signal?: AbortSignal }} [options={}] - Request options.
      * @returns {Promise<TaskResult>} A promise that resolves to the aggregated result of the task.
      */
-    async execute(id, parameters) {
-        const stream = this.stream(id, parameters);
+    async execute(id, parameters, options = {}) {
+        const stream = this.stream(id, parameters, options);
         let content = '';
         const executionMetadata = [];
         let quotaMetadata = null;
@@ -630,13 +2269,180 @@ export class TaskAPI {
     }
 }
 
+/**
+ * A small in-memory vector index with cosine similarity search and metadata filters.
+ * Each entry holds a vector and, optionally, the text it was computed from and arbitrary
+ * JSON metadata. The SDK does not compute embeddings itself: the index is given an `embed`
+ * function, backed by any embedding model, which `addTexts()` and `ChatSession.withRetrieval()`
+ * use. Indexes can be saved to and loaded from JSON files.
+ */
+export class VectorIndex {
+    #embed; #dimensions = null; #entries = new Map(); #nextId = 0;
+
+    /**
+     * @param {{ embed?: EmbedFunction }} [options={}] - `embed` computes the vectors of texts; it is
+     *   required by `addTexts()` and is the default of `withRetrieval()`.
+     */
+    constructor(options = {}) {
+        if (options.embed !== undefined && typeof options.embed !== 'function') throw new Error('The `embed` option of a VectorIndex must be a function.');
+        this.#embed = options.embed ?? null;
+    }
+
+    /** @returns {EmbedFunction | null} The function that computes the vectors of texts. */
+    get embed() { return this.#embed; }
+    /** @returns {number | null} The vector length, fixed by the first entry. */
+    get dimensions() { return this.#dimensions; }
+    /** @returns {number} The number of entries. */
+    get size() { return this.#entries.size; }
+
+    /**
+     * Adds entries with precomputed vectors, replacing any entries with the same ids.
+     * @param {VectorIndexEntry[]} entries - The entries to add.
+     * @returns {this}
+     */
+    add(entries) {
+        for (const entry of entries) {
+            if (entry.id === undefined || entry.id === null) throw new Error('Every vector index entry needs an id.');
+            const vector = Float32Array.from(entry.vector ?? []);
+            if (vector.length === 0) throw new Error(`Vector for entry '${entry.id}' is empty.`);
+            this.#dimensions ??= vector.length;
+            if (vector.length !== this.#dimensions) {
+                throw new Error(`Vector for entry '${entry.id}' has ${vector.length} dimensions; the index uses ${this.#dimensions}.`);
+            }
+            const norm = vectorNorm(vector);
+            this.#entries.set(String(entry.id), { id: String(entry.id), vector, norm, text: entry.text ?? null, metadata: entry.metadata ?? {} });
+        }
+        return this;
+    }
+
+    /**
+     * Embeds texts with the index's `embed` function, in a single call, and adds them. Items
+     * without an id get a numeric id that no existing entry uses.
+     * @param {Array<{ id?: string, text: string, metadata?: object }>} items - The texts to add.
+     * @param {{ signal?: AbortSignal }} [options={}] - Passed on to `embed`.
+     * @returns {Promise<this>}
+     */
+    async addTexts(items, options = {}) {
+        if (!this.#embed) throw new Error('addTexts() requires the `embed` option of the VectorIndex.');
+        const vectors = await this.#embed(items.map(item => item.text), { signal: options.signal });
+        if (!Array.isArray(vectors) || vectors.length !== items.length) {
+            throw new Error(`The \`embed\` function returned ${Array.isArray(vectors) ? vectors.length : 'no'} vectors for ${items.length} texts.`);
+        }
+        const explicitIds = new Set(items.filter(item => item.id != null).map(item => String(item.id)));
+        const nextId = () => {
+            while (this.#entries.has(String(this.#nextId)) || explicitIds.has(String(this.#nextId))) this.#nextId++;
+            return String(this.#nextId++);
+        };
+        return this.add(items.map((item, i) => ({ ...item, id: item.id ?? nextId(), vector: vectors[i] })));
+    }
+
+    /**
+     * Removes an entry.
+     * @param {string} id - The entry id.
+     * @returns {boolean} Whether an entry was removed.
+     */
+    remove(id) {
+        return this.#entries.delete(String(id));
+    }
+
+    /**
+     * Finds the entries most similar to a vector.
+     * A `filter` object matches entries whose metadata equals every given value (an array value
+     * matches any of its elements); a function receives each entry's metadata and the entry.
+     * @param {ArrayLike<number>} vector - The query vector.
+     * @param {VectorSearchOptions} [options={}] - Search options.
+     * @returns {VectorSearchResult[]} Matches ordered by descending cosine similarity.
+     */
+    search(vector, options = {}) {
+        const { topK = 4, filter, minScore = -Infinity } = options;
+        const query = Float32Array.from(vector);
+        if (this.#dimensions !== null && query.length !== this.#dimensions) {
+            throw new Error(`Query vector has ${query.length} dimensions; the index uses ${this.#dimensions}.`);
+        }
+        const queryNorm = vectorNorm(query);
+        const matches = [];
+        for (const entry of this.#entries.values()) {
+            if (filter && !VectorIndex.#matchesFilter(entry, filter)) continue;
+            let dot = 0;
+            for (let i = 0; i < query.length; i++) dot += query[i] * entry.vector[i];
+            const score = queryNorm && entry.norm ? dot / (queryNorm * entry.norm) : 0;
+            if (score >= minScore) matches.push({ id: entry.id, score, text: entry.text, metadata: entry.metadata });
+        }
+        return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    /** @returns {{ dimensions: number | null, entries: Array<{ id: string, vector: number[], text: string | null, metadata: object }> }} A JSON-serializable copy of the index. */
+    toJSON() {
+        const entries = Array.from(this.#entries.values(), ({ id, vector, text, metadata }) => ({ id, vector: Array.from(vector), text, metadata }));
+        return { dimensions: this.#dimensions, entries };
+    }
+
+    /**
+     * Restores an index from the output of `toJSON()`.
+     * @param {string | object} data - The snapshot, as an object or a JSON string.
+     * @param {{ embed?: EmbedFunction }} [options={}] - Options for the restored index.
+     * @returns {VectorIndex} The restored index.
+     */
+    static fromJSON(data, options = {}) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!Array.isArray(parsed?.entries)) throw new Error('Vector index data must contain an `entries` array.');
+        return new VectorIndex(options).add(parsed.entries);
+    }
+
+    /**
+     * Writes the index to a JSON file.
+     * @param {string} path - The file to write.
+     * @returns {Promise<void>}
+     */
+    async save(path) {
+        await writeFileAtomic(path, JSON.stringify(this));
+    }
+
+    /**
+     * Reads an index written by `save()`.
+     * @param {string} path - The file to read.
+     * @param {{ embed?: EmbedFunction }} [options={}] - Options for the loaded index.
+     * @returns {Promise<VectorIndex>} The loaded index.
+     */
+    static async load(path, options = {}) {
+        return VectorIndex.fromJSON(await fs.readFile(path, 'utf-8'), options);
+    }
+
+    static #matchesFilter(entry, filter) {
+        if (typeof filter === 'function') return Boolean(filter(entry.metadata, entry));
+        return Object.entries(filter).every(([key, expected]) => {
+            const actual = entry.metadata[key];
+            return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+        });
+    }
+}
+
+function vectorNorm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+    return Math.sqrt(sum);
+}
+
+/** The text retrieval searches for: the latest user message of a prompt or message history. */
+function retrievalQueryOf(input) {
+    const content = Array.isArray(input) ? input.findLast(message => message.type === 'user_message')?.content : input;
+    return typeof content === 'string' && content ? content : null;
+}
+
+/** The default system message listing the sources retrieved for a request. */
+function formatRetrievedContext(citations) {
+    const sources = citations.map(citation => `[${citation.number}] ${citation.text ?? ''}`).join('\n\n');
+    return `Use the following retrieved sources when they are relevant to the user's message, and cite them by number, like [1].\n\n${sources}`;
+}
+
 function buildParametersArray(params, tools = [], profile = '', eventEmitter = null) {
     const data = [];
     const modelProfile = modelProfiles[profile];
     if (tools.length > 0) {
         if (!modelProfile || modelProfile.params.has(LLMParameters.TOOLS.fqdn)) {
             data.push({ type: LLMParameters.TOOLS.type, fqdn: LLMParameters.TOOLS.fqdn });
-            const serializableTools = tools.map(({ execute, ...rest }) => rest);
+            // Execution policies are client-side only and are not sent to the model.
+            const serializableTools = tools.map(({ execute, timeoutMs, maxConcurrency, sequential, retries, requiresApproval, ...rest }) => rest);
             data.push({ type: "json", value: JSON.stringify(serializableTools) });
         }
     }
@@ -681,7 +2487,7 @@ export class MerciClient extends EventEmitter {
 // SECTION 7: JSDOC TYPE DEFINITIONS
 // ==================================================================================
 
-/** @typedef {{ name: string; description: string; parameters: object; execute: (args: any) => any | Promise<any>; }} ToolDefinition */
+/** @typedef {{ name: string; description: string; parameters: object; execute: (args: any, context: { signal: AbortSignal }) => any | Promise<any>; timeoutMs?: number; maxConcurrency?: number; sequential?: boolean; retries?: number; requiresApproval?: boolean; }} ToolDefinition */
 /** @typedef {{ type: 'user_message'; content: string; }} UserMessage */
 /** @typedef {{ type: 'system_message'; content: string; }} SystemMessage */
 /** @typedef {{ type: 'assistant_message_text'; content: string; }} AssistantTextMessage */
@@ -690,9 +2496,38 @@ export class MerciClient extends EventEmitter {
 /** @typedef {{ type: 'media_message'; mediaType: string; data: string; }} MediaMessage */
 /** @typedef {UserMessage | SystemMessage | AssistantTextMessage | AssistantToolCallMessage | ToolResultMessage | MediaMessage} ChatMessage */
 /** @typedef {{id: string, name: string, arguments: string}} ToolCall */
-/** @typedef {{name: string, success: boolean, result?: any, error?: string}} ToolExecutionResult */
-/** @typedef {{type: 'text', content: string} | {type: 'tool_calls', calls: Array<ToolCall>} | {type: 'quota', data: object}} StreamEvent */
+/** @typedef {{id?: string, name: string, success: boolean, result?: any, error?: string, validationErrors?: string[], rejected?: boolean, arguments?: string}} ToolExecutionResult */
+/** @typedef {{type: 'tool_call_start', index: number, id: string | null, name: string | null, choiceIndex: number} | {type: 'tool_call_delta', index: number, id: string | null, name: string | null, delta: string, arguments: string, partialArguments: any, choiceIndex: number} | {type: 'tool_call_end', index: number, call: ToolCall, choiceIndex: number}} ToolCallStreamEvent */
+/** @typedef {{type: 'text', content: string, choiceIndex: number} | {type: 'tool_calls', calls: Array<ToolCall>, choiceIndex: number} | {type: 'citations', citations: Citation[]} | {type: 'quota', data: object} | {type: 'finish', reason: string | null, data: object, choiceIndex: number} | ToolCallStreamEvent} StreamEvent */
+/** @typedef {{ maxContinuations?: number, prompt?: string }} AutoContinueOptions */
 /** @typedef {{type: 'Content', content: string} | {type: 'QuotaMetadata', data: object} | {type: 'ExecutionMetadata', data: object} | {type: 'FinishMetadata', data: object} | {type: 'UnknownMetadata', data: object} | {type: 'FunctionCallMetadata', data: object}} TaskStreamEvent */
 /** @typedef {{content: string, quotaMetadata: object, executionMetadata: object[], finishMetadata: object, unknownMetadata: object, functionCallMetadata: object}} TaskResult */
-/** @typedef {{ type: 'tool_request', calls: ToolCall[] }} AgentToolRequest */
-/** @typedef {{ type: 'text_response', content: string, messages: ChatMessage[] }} AgentTextResponse */
\ No newline at end of file
+/** @typedef {{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, jitter?: boolean, respectRetryAfter?: boolean, retryableStatuses?: number[] }} RetryOptions */
+/** @typedef {{ firstByteMs?: number, totalMs?: number }} TimeoutOptions */
+/** @typedef {{ path: string, mode?: 'record' | 'replay' | 'auto' }} CassetteOptions */
+/** @typedef {{ paths?: string[], mediaPreviewLength?: number, maskTokens?: boolean }} RedactionOptions */
+/** @typedef {{ getToken(): string | undefined | Promise<string | undefined>, onRefreshed?(token: string): void | Promise<void> }} CredentialsProvider */
+/** @typedef {{ event: string, data: string, id: string, retry: number | null }} SSEMessage */
+/** @typedef {{ toolCalls: ToolCall[], finishReason: string | null, finishMetadata: object | null, choices: Array<{ index: number, toolCalls: ToolCall[], finishReason: string | null, finishMetadata: object | null }>, citations: Citation[] }} StreamSummary */
+/** @typedef {{ index: number, text: string, toolCalls: ToolCall[], finishReason: string | null }} Choice */
+/** @typedef {(candidates: Choice[]) => number | Promise<number>} ChoiceSelector */
+/** @typedef {{ text: string, toolCalls: ToolCall[], finishReason: string | null, quota: object | null, citations: Citation[], messages: ChatMessage[], choices: Choice[], latencyMs: number }} CompletionResult */
+/** @typedef {{ mode?: 'auto' | 'json' | 'tool' | 'prompt', maxRepairs?: number, name?: string, description?: string, signal?: AbortSignal }} GenerateObjectOptions */
+/** @typedef {{ object: any, mode: 'json' | 'tool' | 'prompt', attempts: number, messages: ChatMessage[] }} GenerateObjectResult */
+/** @typedef {{ type: 'partial', object: any } | { type: 'object', object: any }} ObjectStreamEvent */
+/** @typedef {{ type: 'approve' } | { type: 'reject', reason?: string } | { type: 'edit', arguments: object | string }} ToolCallDecision */
+/** @typedef {(calls: ToolCall[], context: { messages: ChatMessage[] }) => Array<ToolCallDecision | boolean> | Promise<Array<ToolCallDecision | boolean>>} ToolApprovalHandler */
+/** @typedef {{ maxIterations?: number, signal?: AbortSignal, autoContinue?: boolean | AutoContinueOptions, choice?: number | ChoiceSelector, onToolCalls?: ToolApprovalHandler }} RunOptions */
+/** @typedef {{ maxTokens: number, profile: string, session: ChatSession, signal?: AbortSignal, estimateTokens: (input: string | ChatMessage | ChatMessage[]) => number }} ContextStrategyContext */
+/** @typedef {(messages: ChatMessage[], context: ContextStrategyContext) => ChatMessage[] | Promise<ChatMessage[]>} ContextStrategy */
+/** @typedef {{ maxTokens?: number, reserveTokens?: number }} ContextOptions */
+/** @typedef {{ type: 'tool_request', calls: ToolCall[], commentary: string }} AgentToolRequest */
+/** @typedef {{ type: 'text_response', content: string, commentary: string, usedTools: boolean, messages: ChatMessage[], finishReason: string | null, quota: object | null, citations: Citation[] }} AgentTextResponse */
+/** @typedef {{ iteration: number, call: ToolCall, result: ToolExecutionResult }} ToolInvocation */
+/** @typedef {{ text: string, messages: ChatMessage[], toolInvocations: ToolInvocation[], iterations: number, stoppedBecause: 'completed' | 'max_iterations', quota: object | null, citations: Citation[] }} RunResult */
+/** @typedef {{ id: string, vector: ArrayLike<number>, text?: string, metadata?: object }} VectorIndexEntry */
+/** @typedef {{ topK?: number, filter?: object | ((metadata: object, entry: object) => boolean), minScore?: number }} VectorSearchOptions */
+/** @typedef {{ id: string, score: number, text: string | null, metadata: object }} VectorSearchResult */
+/** @typedef {VectorSearchResult & { number: number }} Citation */
+/** @typedef {(texts: string[], options: { signal?: AbortSignal }) => Promise<ArrayLike<number>[]>} EmbedFunction */
+/** @typedef {VectorSearchOptions & { embed?: EmbedFunction, format?: (citations: Citation[]) => string }} RetrievalOptions */
\ No newline at end of file
@@ -0,0 +1,47 @@
+// merci.mock.d.ts
+// TypeScript Declaration File for the Merci SDK v2.14.0 testing utilities
+
+/** A request received by the mock gateway. */
+export interface MockRequest {
+    route: 'chat' | 'task' | 'roster' | 'refresh' | null;
+    method: string;
+    /** The path relative to the `/{authType}/v5` prefix. */
+    path: string;
+    headers: Record<string, string | string[] | undefined>;
+    /** The parsed JSON body, or the raw text when it is not JSON. */
+    body: any;
+}
+
+/** A scripted mock response: either a plain JSON reply or a Server-Sent Events stream. */
+export type MockResponseScript =
+    | { status: number; headers?: Record<string, string>; body?: any }
+    | { events: Array<object | string | Array<object | string>>; delayMs?: number; status?: number; headers?: Record<string, string> };
+
+/**
+ * A local `node:http` server emulating the gateway's chat, task and token refresh endpoints.
+ * Pass its `endpoint` to `MerciClient` to exercise the SDK end to end.
+ */
+export declare class MockMerciServer {
+    /**
+     * @param options `token` makes the server reject other JWTs with a 401; the refresh endpoint
+     *   answers with `refreshedToken` (defaulting to `token`), which replaces `token` as the only
+     *   accepted JWT. `tasks` is returned by the roster endpoint.
+     */
+    constructor(options?: { token?: string; refreshedToken?: string; tasks?: string[] });
+    /** Every request received so far, in order. */
+    requests: MockRequest[];
+    /** The base URL to pass as the client's `endpoint` option. */
+    readonly endpoint: string;
+    /** Starts listening on 127.0.0.1 and resolves to the endpoint. */
+    start(port?: number): Promise<string>;
+    close(): Promise<void>;
+    /** Queues a response for a route; responses are served in FIFO order. */
+    respond(route: 'chat' | 'task' | 'roster' | 'refresh', script: MockResponseScript): this;
+
+    /** `choiceIndex`, here and in `toolCall()` and `finish()`, marks the record as part of that choice. */
+    static content(text: string, choiceIndex?: number): object;
+    /** Builds the streamed deltas of a tool call, splitting its arguments into `chunks` fragments. */
+    static toolCall(call: { id: string; name: string; arguments?: string; parallelToolIndex?: number; chunks?: number; choiceIndex?: number }): object[];
+    static finish(reason?: string, extra?: object, choiceIndex?: number): object;
+    static quota(data?: object): object;
+}
@@ -0,0 +1,153 @@
+/**
+ * @file Testing utilities for the Merci SDK: a local mock of the JetBrains AI gateway.
+ * @version 2.14.0
+ * @author Lukáš Michna (Mobeetle)
+ * @license Apache-2.0
+ *
+ * @description
+ * Kept out of the SDK module so that applications do not pull in `node:http`. Import it only
+ * from tests: `import { MockMerciServer } from './merci.mock.mjs';`
+ */
+
+// --- NODE.JS BUILT-IN IMPORTS ---
+import { createServer } from 'node:http';
+import { setTimeout as delay } from 'node:timers/promises';
+
+
+/**
+ * A local stand-in for the JetBrains AI gateway, built on `node:http`, for end-to-end tests.
+ * Point a client at it with `new MerciClient({ token, endpoint: server.endpoint })`.
+ *
+ * Responses are scripted per route ('chat', 'task', 'roster', 'refresh') and served in FIFO
+ * order. A script is either an error `{ status, headers?, body? }` or a stream
+ * `{ events, delayMs?, status?, headers? }`, where `events` may contain gateway event objects
+ * (see the static builders), nested arrays of them, or raw SSE strings. Every stream is
+ * terminated with the gateway's `data: end` record.
+ */
+export class MockMerciServer {
+    #server = null; #options; #acceptedToken; #queues = { chat: [], task: [], roster: [], refresh: [] };
+    /** @type {Array<{ route: string, method: string, path: string, headers: object, body: any }>} */
+    requests = [];
+
+    /**
+     * @param {{ token?: string, refreshedToken?: string, tasks?: string[] }} [options={}] - If `token` is
+     *   set, requests carrying any other JWT are rejected with a 401. The refresh endpoint answers with
+     *   `refreshedToken` (defaulting to `token`), and from then on only the refreshed token is accepted.
+     *   `tasks` is the list returned by the roster endpoint.
+     */
+    constructor(options = {}) {
+        this.#options = options;
+        this.#acceptedToken = options.token;
+    }
+
+    /** The base URL to pass as the client's `endpoint` option. Available after `start()`. */
+    get endpoint() {
+        const address = this.#server?.address();
+        if (!address) throw new Error('MockMerciServer has not been started.');
+        return `http://127.0.0.1:${address.port}`;
+    }
+
+    /**
+     * Starts listening on the loopback interface.
+     * @param {number} [port=0] - The port to bind, or 0 for a random free port.
+     * @returns {Promise<string>} The server's endpoint.
+     */
+    async start(port = 0) {
+        this.#server = createServer((req, res) => this.#handle(req, res).catch(e => {
+            if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: e.message }));
+        }));
+        await new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, '127.0.0.1', resolve);
+        });
+        return this.endpoint;
+    }
+
+    /** Stops the server and drops any open connections. */
+    async close() {
+        if (!this.#server) return;
+        const server = this.#server;
+        this.#server = null;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Queues a scripted response for a route.
+     * @param {'chat' | 'task' | 'roster' | 'refresh'} route - The endpoint the response is for.
+     * @param {object} script - The response script.
+     * @returns {this}
+     */
+    respond(route, script) {
+        if (!this.#queues[route]) throw new Error(`Unknown mock route '${route}'.`);
+        this.#queues[route].push(script);
+        return this;
+    }
+
+    // The static builders below take an optional `choiceIndex`, the field the SDK reads to tell
+    // choices apart; it is left out of the record when not given, as for single-choice responses.
+    static content(text, choiceIndex) { return { type: 'Content', content: text, ...choiceField(choiceIndex) }; }
+    /** Builds the deltas of a streamed tool call, splitting the arguments into `chunks` fragments. */
+    static toolCall({ id, name, arguments: args = '', parallelToolIndex = 0, chunks = 1, choiceIndex }) {
+        const size = Math.max(1, Math.ceil(args.length / chunks));
+        const deltas = [{ type: 'ToolCall', id, name, parallelToolIndex, content: args.slice(0, size), ...choiceField(choiceIndex) }];
+        for (let i = size; i < args.length; i += size) deltas.push({ type: 'ToolCall', parallelToolIndex, content: args.slice(i, i + size), ...choiceField(choiceIndex) });
+        return deltas;
+    }
+    static finish(reason = 'stop', extra = {}, choiceIndex) { return { type: 'FinishMetadata', reason, ...extra, ...choiceField(choiceIndex) }; }
+    static quota(data = {}) { return { type: 'QuotaMetadata', ...data }; }
+
+    async #handle(req, res) {
+        const match = /^\/(?:user|service|application)\/v5(\/.*)$/.exec(new URL(req.url, 'http://localhost').pathname);
+        const path = match?.[1] ?? req.url;
+        let rawBody = '';
+        for await (const chunk of req) rawBody += chunk;
+        let body = rawBody;
+        try { body = rawBody ? JSON.parse(rawBody) : null; } catch { /* keep the raw text */ }
+
+        let route = null;
+        if (path === '/llm/chat/stream/v8') route = 'chat';
+        else if (path.startsWith('/task/stream/v4/')) route = 'task';
+        else if (path === '/task/roster') route = 'roster';
+        else if (path === '/auth/jwt/refresh/v3') route = 'refresh';
+        this.requests.push({ route, method: req.method, path, headers: req.headers, body });
+        if (!route) return this.#sendJson(res, 404, { message: `Unknown path '${path}'.` });
+
+        const token = req.headers['grazie-authenticate-jwt'];
+        if (route !== 'refresh' && this.#acceptedToken && token !== this.#acceptedToken) {
+            return this.#sendJson(res, 401, { message: 'Invalid token.' });
+        }
+
+        const script = this.#queues[route].shift();
+        if (route === 'refresh' && this.#acceptedToken && (!script || (!script.events && (script.status ?? 200) < 300))) {
+            // Honour the token the refresh hands out, whether it is the default or a scripted one.
+            const refreshedToken = script ? script.body?.token : (this.#options.refreshedToken ?? this.#options.token);
+            if (refreshedToken) this.#acceptedToken = refreshedToken;
+        }
+        if (!script) {
+            if (route === 'roster') return this.#sendJson(res, 200, { ids: this.#options.tasks ?? [] });
+            if (route === 'refresh') return this.#sendJson(res, 200, { token: this.#options.refreshedToken ?? this.#options.token ?? 'mock-refreshed-token' });
+            return this.#sendJson(res, 500, { message: `No scripted response queued for route '${route}'.` });
+        }
+        if (!script.events) return this.#sendJson(res, script.status ?? 200, script.body ?? {}, script.headers);
+
+        res.writeHead(script.status ?? 200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...script.headers });
+        for (const event of script.events.flat(Infinity)) {
+            if (script.delayMs) await delay(script.delayMs);
+            if (res.destroyed) return;
+            res.write(typeof event === 'string' ? event : `data: ${JSON.stringify(event)}\n\n`);
+        }
+        res.end('data: end\n\n');
+    }
+
+    #sendJson(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+}
+
+/** The `choiceIndex` field of a scripted record, or nothing for the default single choice. */
+function choiceField(choiceIndex) {
+    return choiceIndex === undefined ? {} : { choiceIndex };
+}